@@ -0,0 +1,124 @@
+// --- Share Link Paste Service ---
+// A small, dependency-free paste service for short share links. Payloads are
+// stored as JSON files on disk.
+//
+//   POST /pastes      body: share payload (JSON)  ->  201 { id }
+//   GET  /pastes/:id                              ->  200 payload | 404
+//
+// Run it with `npm run share-server`, then build or start the app with
+// VITE_SHARE_SERVICE_URL=http://localhost:8787.
+//
+// Configuration:
+//   PORT             (8787)
+//   PASTE_DIR        (.pastes)
+//   ALLOWED_ORIGIN   comma-separated origins of the app (the Vite dev and
+//                    preview servers); other sites can neither read nor
+//                    create pastes
+//   MAX_PASTE_BYTES  largest accepted paste (1 MB)
+//   PASTE_TTL_DAYS   pastes older than this are deleted (30)
+
+import { createServer } from 'node:http';
+import { mkdir, readdir, readFile, stat, unlink, writeFile } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { join, resolve } from 'node:path';
+
+const PORT = Number(process.env.PORT) || 8787;
+const PASTE_DIR = resolve(process.env.PASTE_DIR || '.pastes');
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGIN || 'http://localhost:5173,http://localhost:4173')
+  .split(',').map(origin => origin.trim()).filter(Boolean);
+const MAX_PASTE_BYTES = Number(process.env.MAX_PASTE_BYTES) || 1024 * 1024;
+const PASTE_TTL_MS = (Number(process.env.PASTE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,32}$/;
+
+// Requests without an Origin header (curl, server-to-server) are not from a
+// browser page, so there is nothing to restrict.
+const isAllowedOrigin = (origin) => !origin || ALLOWED_ORIGINS.includes(origin);
+
+function send(req, res, status, body) {
+  const { origin } = req.headers;
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    Vary: 'Origin',
+    ...(origin && isAllowedOrigin(origin) && {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    })
+  });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+async function readBody(req) {
+  if (Number(req.headers['content-length']) > MAX_PASTE_BYTES) {
+    throw Object.assign(new Error('Paste too large'), { status: 413 });
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_PASTE_BYTES) throw Object.assign(new Error('Paste too large'), { status: 413 });
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function createPaste(req, res) {
+  if (!isAllowedOrigin(req.headers.origin)) return send(req, res, 403, { error: 'Origin not allowed' });
+  const body = await readBody(req);
+  try {
+    JSON.parse(body);
+  } catch {
+    return send(req, res, 400, { error: 'Body must be JSON' });
+  }
+  const id = randomBytes(9).toString('base64url');
+  await writeFile(join(PASTE_DIR, `${id}.json`), body, 'utf8');
+  send(req, res, 201, { id });
+}
+
+const isExpired = ({ mtimeMs }) => Date.now() - mtimeMs > PASTE_TTL_MS;
+
+async function getPaste(req, res, id) {
+  if (!ID_PATTERN.test(id)) return send(req, res, 404, { error: 'Not found' });
+  const file = join(PASTE_DIR, `${id}.json`);
+  try {
+    if (isExpired(await stat(file))) return send(req, res, 404, { error: 'Not found' });
+    send(req, res, 200, await readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return send(req, res, 404, { error: 'Not found' });
+    throw e;
+  }
+}
+
+// Deletes the pastes that have outlived PASTE_TTL_DAYS.
+async function sweepExpiredPastes() {
+  for (const name of await readdir(PASTE_DIR)) {
+    const file = join(PASTE_DIR, name);
+    try {
+      if (name.endsWith('.json') && isExpired(await stat(file))) await unlink(file);
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(e);
+    }
+  }
+}
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  try {
+    if (req.method === 'OPTIONS') return send(req, res, 204, '');
+    if (req.method === 'POST' && pathname === '/pastes') return await createPaste(req, res);
+    const match = pathname.match(/^\/pastes\/([^/]+)$/);
+    if (req.method === 'GET' && match) return await getPaste(req, res, match[1]);
+    send(req, res, 404, { error: 'Not found' });
+  } catch (e) {
+    console.error(e);
+    send(req, res, e.status || 500, { error: e.status ? e.message : 'Internal error' });
+  }
+});
+
+await mkdir(PASTE_DIR, { recursive: true });
+await sweepExpiredPastes();
+setInterval(() => sweepExpiredPastes().catch(console.error), SWEEP_INTERVAL_MS).unref();
+server.listen(PORT, () => {
+  console.log(`Paste service listening on http://localhost:${PORT} (storing pastes in ${PASTE_DIR})`);
+});
@@ -1,7 +1,44 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import Editor from '@monaco-editor/react';
-import { compressToEncodedURIComponent, decompressFromEncodedURIComponent } from 'lz-string';
+import { buildPreviewDocument } from './preview';
+import { fetchChatCompletion, streamChatCompletion } from './api';
+import { providerPresets, loadSettings, saveSettings, getProviderName, buildCompletionRequest, getComparisonModels } from './providers';
+import { getProjectSystemPrompt, parseProjectFiles, serializeProjectFiles, getProjectEntry, getFileLanguage } from './project';
+import { applyManualEdit, buildChatExport, parseChatImport } from './chats';
+import { loadLibrary, saveChatChanges, saveFolderChanges, loadUsageRecords, addUsageRecord, clearUsageRecords } from './storage';
+import { builtInTemplates, loadTemplates, saveTemplates, getTemplateVariables } from './templates';
+import { loadDesignSystems, saveDesignSystems, buildDesignSystemPrompt } from './designSystems';
+import { buildSharePayload, getSharedCode, createShareUrl, createShortLink, isShareHash, loadSharedPayload, SHARE_SERVICE_URL } from './share';
+import { processModelOutput, buildRepairPrompt, stripReasoning, extractFragment, validateCode } from './output';
+import { buildProjectZip } from './exportZip';
+import { frameworks, getFramework, DEFAULT_FRAMEWORK } from './frameworks';
+import SettingsModal from './components/SettingsModal';
+import FileTree from './components/FileTree';
+import VersionHistoryModal from './components/VersionHistoryModal';
+import PreviewToolbar from './components/PreviewToolbar';
+import DeviceFrame from './components/DeviceFrame';
+import AuditPanel from './components/AuditPanel';
+import ConsolePanel from './components/ConsolePanel';
+import ChatSidebar from './components/ChatSidebar';
+import ShareModal from './components/ShareModal';
+import TemplateLibraryModal from './components/TemplateLibraryModal';
+import TemplateVariablesModal from './components/TemplateVariablesModal';
+import DesignSystemModal from './components/DesignSystemModal';
+import RefinePanel from './components/RefinePanel';
+import UsageDashboardModal from './components/UsageDashboardModal';
+import CompareModelsList from './components/CompareModelsList';
+import ModelComparisonGrid from './components/ModelComparisonGrid';
+import { DEFAULT_VIEWPORT, MULTI_FRAME_PRESETS, viewportPresets, getViewportSize } from './viewports';
+import { isPreviewMessage, postToPreview } from './previewBridge';
+import { buildAuditFixPrompt } from './audit';
+import { appendConsoleEntry, buildConsoleFixPrompt } from './previewConsole';
+import { createUsageRecord, estimateTokens, getExceededBudgets, describeExceededBudgets, totalUsage, dayKey, formatCost } from './usage';
+import { locateElement, locateElementRange, locateElementInFiles } from './sourceLocator';
+import { buildRefineMessages, spliceFragment } from './refine';
+import { buildConversionPrompt, conversionTitle } from './convert';
+import { buildContextMessages, stitchContinuation, CONTINUE_PROMPT } from './context';
+import { downscaleImage, getImageFiles, MAX_ATTACHED_IMAGES } from './images';
 
 
 // --- Helper Components ---
@@ -25,81 +62,294 @@ function MenuIcon() {
 }
 
 
-const promptTemplates = [
-    { title: 'Hero Section', prompt: 'A modern, professional hero section for a SaaS product named "CodeGenius". It should have a catchy title, a short descriptive paragraph, and two buttons: "Get Started for Free" and "View Pricing".' },
-    { title: 'Login Form', prompt: 'A clean and simple login form with fields for "Email" and "Password", a "Remember me" checkbox, a "Sign In" button, and a "Forgot your password?" link.' },
-    { title: 'Pricing Page', prompt: 'A pricing page with three tiers: "Basic", "Pro", and "Enterprise". Each tier should have a title, a price, a short list of key features, and a "Sign Up" button. The "Pro" tier should be highlighted as the most popular.' },
-    { title: 'Contact Form', prompt: 'A contact form with fields for "Full Name", "Email Address", "Subject", and "Message". Include a "Send Message" submit button.' },
-];
+const PREVIEW_THROTTLE_MS = 1000;
+// Limit code size to prevent memory issues
+const MAX_CODE_LENGTH = 50000;
+// Manual edits re-render the preview and are saved to the chat once typing pauses.
+const EDIT_PREVIEW_DEBOUNCE_MS = 500;
+const EDIT_SAVE_DEBOUNCE_MS = 1500;
 
+// Template buttons shown under the prompt; the rest are in the template library.
+const MAX_TEMPLATE_SHORTCUTS = 6;
 
-// --- System Prompts for Different Frameworks ---
-const systemPrompts = {
-  html: `You are an expert frontend developer specializing in clean, modern web design using Tailwind CSS. Your task is to generate a single, self-contained HTML file based on the user's request. Rules: 1. All HTML, CSS, and JavaScript must be in one .html file. 2. Use Tailwind CSS for all styling via the CDN (<script src="https://cdn.tailwindcss.com"></script>). 3. Use placeholder services like [https://placehold.co/](https://placehold.co/) for images. 4. Your response must ONLY contain the raw HTML code, with no explanations or markdown ticks. 5. Keep the code concise and under 3000 characters when possible.`,
-  react: `You are an expert React developer who creates clean, functional components. Your task is to generate a single JSX file for a React functional component based on the user's request. Rules: 1. Use React hooks (useState, useEffect, etc.) for any state or logic. 2. Use Tailwind CSS classes for all styling (assume Tailwind is already configured in the project). 3. Do not include 'import React...' as it is assumed to be available. 4. Your response must ONLY contain the raw JSX code for the component, starting with 'function ComponentName() { ... }'. Do not include explanations or markdown ticks. 5. Keep the code concise and under 3000 characters when possible.`,
-  vue: `You are an expert Vue.js developer who builds elegant and efficient single-file components. Your task is to generate a complete single-file component (.vue) based on the user's request. Rules: 1. The component must be self-contained with <template>, <script setup>, and <style scoped> blocks. 2. Use the Composition API with <script setup>. 3. Use Tailwind CSS classes for all styling within the <template> block. 4. Your response must ONLY contain the raw code for the .vue file. Do not include explanations or markdown ticks. 5. Keep the code concise and under 3000 characters when possible.`,
-};
+// Sent when images are attached without any text.
+const IMAGE_ONLY_PROMPT = 'Recreate the design in the attached image(s).';
 
+// The system prompt for a generation request.
+function buildSystemPrompt(framework, multiFile, designSystem) {
+  const frameworkPrompt = multiFile ? getProjectSystemPrompt(framework) : getFramework(framework).systemPrompt;
+  return designSystem ? `${frameworkPrompt}\n\n${buildDesignSystemPrompt(designSystem)}` : frameworkPrompt;
+}
 
+// How chat history is fitted into the model's context window (see context.js).
+const getContextOptions = (settings) => ({
+  mode: settings.contextMode,
+  editContext: settings.editContext,
+  contextWindow: settings.contextWindow,
+  maxTokens: settings.maxTokens
+});
 
-// --- Main App Component ---
-function App() {
-  const OPENROUTER_API_KEY = import.meta.env.VITE_OPENROUTER_API_KEY;
+// Downloads `blob` as a file named `fileName`.
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Scrolls a Monaco editor to lines `line` to `endLine` and selects them.
+function revealEditorLines(editor, line, endLine = line) {
+  if (!editor) return;
+  editor.revealLinesInCenter(line, endLine);
+  editor.setSelection({ startLineNumber: line, startColumn: 1, endLineNumber: endLine, endColumn: editor.getModel().getLineMaxColumn(endLine) });
+  editor.focus();
+}
 
 
+// --- Main App Component ---
+function App() {
   const [prompt, setPrompt] = useState('');
+  const [attachedImages, setAttachedImages] = useState([]);
   const [generatedCode, setGeneratedCode] = useState('// Your generated code will appear here...');
+  // Whether the editor shows a status message (e.g. "Generating...") rather than code.
+  const [isPlaceholder, setIsPlaceholder] = useState(true);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState('');
   const [isSidebarOpen, setIsSidebarOpen] = useState(true);
   const [chats, setChats] = useState([]);
+  const [folders, setFolders] = useState([]);
   const [activeChatId, setActiveChatId] = useState(null);
-  const [framework, setFramework] = useState('html');
+  const [framework, setFramework] = useState(DEFAULT_FRAMEWORK);
   const [lastGenerationInfo, setLastGenerationInfo] = useState({ tokens: 0, cost: 0 });
+  const [isStreamingEnabled, setIsStreamingEnabled] = useState(true);
+  const [isMultiFileEnabled, setIsMultiFileEnabled] = useState(false);
+  const [activeFile, setActiveFile] = useState(null);
+  const [openFiles, setOpenFiles] = useState([]);
+  const [settings, setSettings] = useState(loadSettings);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isShareOpen, setIsShareOpen] = useState(false);
+  const [sharedPayload, setSharedPayload] = useState(null);
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [isTemplateLibraryOpen, setIsTemplateLibraryOpen] = useState(false);
+  const [pendingTemplate, setPendingTemplate] = useState(null);
+  const [designSystems, setDesignSystems] = useState(loadDesignSystems);
+  const [designSystemId, setDesignSystemId] = useState(null);
+  const [isDesignSystemsOpen, setIsDesignSystemsOpen] = useState(false);
+  const [viewport, setViewport] = useState(DEFAULT_VIEWPORT);
+  const [previewDocument, setPreviewDocument] = useState('');
+  const [auditFindings, setAuditFindings] = useState(null);
+  const [consoleEntries, setConsoleEntries] = useState([]);
+  const [isInspecting, setIsInspecting] = useState(false);
+  const [selectedElement, setSelectedElement] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [usageRecords, setUsageRecords] = useState([]);
+  const [isUsageOpen, setIsUsageOpen] = useState(false);
+  const [isCompareModelsEnabled, setIsCompareModelsEnabled] = useState(false);
+  const [modelComparison, setModelComparison] = useState(null);
+  const [providerId, setProviderId] = useState(settings.providerId);
+  const [model, setModel] = useState(settings.providers[settings.providerId].model);
 
 
   const iframeRef = useRef(null);
   const editorRef = useRef(null);
+  const imageInputRef = useRef(null);
   const abortControllerRef = useRef(null);
+  const modelComparisonControllersRef = useRef(new Map());
+  const lastPreviewRenderRef = useRef(0);
+  const editedByUserRef = useRef(false);
+  const pendingEditRef = useRef(null);
+  const editSaveTimerRef = useRef(null);
+  const pendingRevealRef = useRef(null);
+  const revealSelectionRef = useRef(false);
+  // The library as last written to storage (null until it has been loaded), and the
+  // write in progress.
+  const persistedLibraryRef = useRef(null);
+  const librarySaveRef = useRef(Promise.resolve());
+
+
+  const activeChat = chats.find(c => c.id === activeChatId) || null;
+  const activeDesignSystem = designSystems.find(d => d.id === designSystemId) || null;
+
+
+  // --- Multi-file Project State ---
+  const projectFiles = useMemo(() => parseProjectFiles(generatedCode, framework), [generatedCode, framework]);
+  const projectPaths = projectFiles ? Object.keys(projectFiles) : [];
+  const currentFile = projectFiles
+    ? (activeFile in projectFiles ? activeFile : getProjectEntry(projectFiles, framework) || projectPaths[0])
+    : null;
+  const frameworkDefinition = getFramework(framework);
+  const editorLanguage = frameworkDefinition.editorLanguage;
+  const fileTabs = projectFiles
+    ? [...new Set([...openFiles, currentFile])].filter(path => path in projectFiles)
+    : [];
+
+  // Where each audit finding's element appears in the source.
+  const auditLocations = useMemo(() => (auditFindings || []).map(finding => projectFiles
+    ? locateElementInFiles(projectFiles, finding.element)
+    : locateElement(generatedCode, finding.element)
+  ), [auditFindings, projectFiles, generatedCode]);
+
+  // The source range of the element selected in inspect mode.
+  const selection = useMemo(() => {
+    if (!selectedElement) return null;
+    return projectFiles
+      ? locateElementInFiles(projectFiles, selectedElement, locateElementRange)
+      : locateElementRange(generatedCode, selectedElement);
+  }, [selectedElement, projectFiles, generatedCode]);
+
+
+  // The chat this one was converted from, and the chats converted from this one.
+  const conversionSource = activeChat?.convertedFrom || null;
+  const conversions = activeChatId ? chats.filter(chat => chat.convertedFrom?.chatId === activeChatId) : [];
+  const sourceChatExists = !!conversionSource && chats.some(chat => chat.id === conversionSource.chatId);
+  const comparisonDocument = useMemo(() => (isComparing && conversionSource
+    ? buildPreviewDocument(conversionSource.code, conversionSource.framework, { darkMode: viewport.darkMode, designSystem: activeDesignSystem })
+    : ''), [isComparing, conversionSource, viewport.darkMode, activeDesignSystem]);
+
+
+  // --- Usage ---
+  // The prompt tokens the next request would send: the system prompt and the chat
+  // so far as the context manager would send it, estimated when they change, plus
+  // the prompt being typed.
+  const historyTokenEstimate = useMemo(() => estimateTokens(buildContextMessages(
+    buildSystemPrompt(framework, isMultiFileEnabled, activeDesignSystem),
+    [...(activeChat ? activeChat.history : []), { role: 'user', content: '' }],
+    getContextOptions(settings)
+  )), [framework, isMultiFileEnabled, activeDesignSystem, activeChat, settings]);
+  const promptTokenEstimate = historyTokenEstimate + estimateTokens([{
+    role: 'user',
+    content: [{ type: 'text', text: prompt }, ...attachedImages.map(url => ({ type: 'image_url', image_url: { url } }))]
+  }]);
+  const exceededBudgets = getExceededBudgets(usageRecords, settings.budgets, activeChatId);
+  const chatUsage = totalUsage(activeChatId ? usageRecords.filter(record => record.chatId === activeChatId) : []);
+  const todayUsage = totalUsage(usageRecords.filter(record => dayKey(record.createdAt) === dayKey(Date.now())));
 
 
   // --- Effects ---
   useEffect(() => {
     const hash = window.location.hash;
-    if (hash.startsWith('#/share/')) {
-      try {
-        const compressedCode = hash.substring(8);
-        const decompressedCode = decompressFromEncodedURIComponent(compressedCode);
-        if (decompressedCode) {
-          setGeneratedCode(decompressedCode);
-          setToastMessage('Shared code loaded!');
-          setShowToast(true);
-          setTimeout(() => setShowToast(false), 2000);
-        }
-      } catch (e) { console.error("Failed to decompress shared code:", e); }
-    } else {
-      const savedChats = localStorage.getItem('ai-frontend-chats');
-      if (savedChats) setChats(JSON.parse(savedChats));
+    if (isShareHash(hash)) {
+      loadSharedPayload(hash).then(payload => {
+        setSharedPayload(payload);
+        setFramework(payload.framework);
+        setIsMultiFileEnabled(!!payload.files);
+        showCode(getSharedCode(payload));
+        setToastMessage('Shared code loaded!');
+        setShowToast(true);
+        setTimeout(() => setShowToast(false), 2000);
+      }).catch(e => {
+        console.error("Failed to load shared code:", e);
+        setError(e.message);
+      });
     }
+
+    loadLibrary().then(library => {
+      persistedLibraryRef.current = library;
+      // Keep any chat started while the library was loading.
+      setChats(prevChats => [...prevChats, ...library.chats.filter(chat => !prevChats.some(c => c.id === chat.id))]);
+      setFolders(library.folders);
+    }).catch(e => {
+      console.error("Failed to load chats:", e);
+      setError(`Your saved chats could not be loaded: ${e.message}`);
+    });
+
+    loadUsageRecords().then(records => {
+      // Keep any request recorded while the log was loading.
+      setUsageRecords(prevRecords => [...records, ...prevRecords]);
+    }).catch(e => console.error("Failed to load usage:", e));
   }, []);
 
 
+  // Only the chats and folders that changed are written back. Writes run one at a time,
+  // each diffed against the last snapshot that was saved, so the changes of a failed
+  // write are written again with the next one.
   useEffect(() => {
-    if (chats.length > 0) localStorage.setItem('ai-frontend-chats', JSON.stringify(chats));
-  }, [chats]);
+    if (!persistedLibraryRef.current) return;
+    const snapshot = { chats, folders };
+    librarySaveRef.current = librarySaveRef.current.then(async () => {
+      const persisted = persistedLibraryRef.current;
+      if (persisted.chats === snapshot.chats && persisted.folders === snapshot.folders) return;
+      try {
+        await Promise.all([
+          saveChatChanges(persisted.chats, snapshot.chats),
+          saveFolderChanges(persisted.folders, snapshot.folders)
+        ]);
+        persistedLibraryRef.current = snapshot;
+      } catch (e) {
+        console.error("Failed to save chats:", e);
+        setError(`Your chats could not be saved: ${e.message}`);
+      }
+    });
+  }, [chats, folders]);
 
 
+  // While a response is streaming in, refresh the preview at most once per PREVIEW_THROTTLE_MS;
+  // while the user is typing in the editor, wait for a pause.
   useEffect(() => {
-    if (iframeRef.current) {
-      if (framework === 'html') {
-        iframeRef.current.srcdoc = generatedCode;
-      } else {
-        iframeRef.current.srcdoc = `<div style="display:flex;align-items:center;justify-content:center;height:100%;font-family:sans-serif;color:#555;padding:1rem;text-align:center;">Live preview is only available for HTML. You can test React/Vue components in a dedicated development environment.</div>`;
+    const renderPreview = () => {
+      setPreviewDocument(buildPreviewDocument(isPlaceholder ? '' : generatedCode, framework, { darkMode: viewport.darkMode, designSystem: activeDesignSystem }));
+      setAuditFindings(null);
+      setConsoleEntries([]);
+      lastPreviewRenderRef.current = Date.now();
+      editedByUserRef.current = false;
+    };
+    const wait = isLoading
+      ? PREVIEW_THROTTLE_MS - (Date.now() - lastPreviewRenderRef.current)
+      : editedByUserRef.current ? EDIT_PREVIEW_DEBOUNCE_MS : 0;
+    if (wait <= 0) {
+      renderPreview();
+      return;
+    }
+    const timer = setTimeout(renderPreview, wait);
+    return () => clearTimeout(timer);
+  }, [generatedCode, isPlaceholder, framework, isLoading, viewport.darkMode, activeDesignSystem]);
+
+  // The preview audits itself once it has rendered and reports back here, and
+  // reports its console output and the elements clicked in inspect mode.
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (!isPreviewMessage(event, iframeRef)) return;
+      const { data } = event;
+      if (data.type === 'audit-results') setAuditFindings(data.findings);
+      if (data.type === 'console') setConsoleEntries(prevEntries => appendConsoleEntry(prevEntries, data.entry));
+      // Every re-rendered preview starts with inspect mode off.
+      if (data.type === 'ready' && isInspecting) postToPreview(iframeRef, 'set-inspect', { enabled: true });
+      if (data.type === 'element-selected') {
+        revealSelectionRef.current = true;
+        setSelectedElement(data.element);
       }
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [isInspecting]);
+
+  // A location in another project file is revealed once the editor has switched to it.
+  useEffect(() => {
+    const target = pendingRevealRef.current;
+    if (target && target.path === currentFile) {
+      pendingRevealRef.current = null;
+      revealEditorLines(editorRef.current, target.line, target.endLine);
+    }
+  }, [currentFile]);
+
+  // A newly selected element is revealed in the editor, switching files if needed.
+  useEffect(() => {
+    if (!revealSelectionRef.current) return;
+    revealSelectionRef.current = false;
+    if (!selection) return;
+    if (selection.path && selection.path !== currentFile) {
+      pendingRevealRef.current = selection;
+      setActiveFile(selection.path);
+      setOpenFiles(prev => prev.includes(selection.path) ? prev : [...prev, selection.path]);
+    } else {
+      revealEditorLines(editorRef.current, selection.line, selection.endLine);
     }
-  }, [generatedCode, framework]);
+  }, [selection, currentFile]);
 
   // Cleanup editor on unmount
   useEffect(() => {
@@ -110,211 +360,1003 @@ function App() {
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
+      clearTimeout(editSaveTimerRef.current);
     };
   }, []);
 
 
   // --- Monaco Editor Mount Handler ---
-  const handleEditorDidMount = useCallback((editor, monaco) => {
+  const handleEditorDidMount = useCallback((editor) => {
     editorRef.current = editor;
   }, []);
 
 
+  // --- Editor Content ---
+  const showCode = (code) => {
+    setGeneratedCode(code);
+    setIsPlaceholder(false);
+  };
+
+  const showPlaceholder = (text) => {
+    setGeneratedCode(`// ${text}`);
+    setIsPlaceholder(true);
+  };
+
+
+  // --- Manual Edits ---
+  const saveManualEdit = (chatId, code) => {
+    setChats(prevChats => prevChats.map(chat => chat.id === chatId ? applyManualEdit(chat, code) : chat));
+  };
+
+  // Saves a pending edit right away, e.g. before switching chats.
+  const flushManualEdit = () => {
+    clearTimeout(editSaveTimerRef.current);
+    const pending = pendingEditRef.current;
+    pendingEditRef.current = null;
+    if (pending) saveManualEdit(pending.chatId, pending.code);
+  };
+
+  const handleEditorChange = (value = '') => {
+    const code = projectFiles
+      ? serializeProjectFiles({ ...projectFiles, [currentFile]: value })
+      : value;
+    editedByUserRef.current = true;
+    showCode(code);
+    if (activeChatId) {
+      pendingEditRef.current = { chatId: activeChatId, code };
+      clearTimeout(editSaveTimerRef.current);
+      editSaveTimerRef.current = setTimeout(flushManualEdit, EDIT_SAVE_DEBOUNCE_MS);
+    }
+  };
+
+
+  // --- Usage and Budgets ---
+  const recordUsage = (record) => {
+    setUsageRecords(prevRecords => [...prevRecords, record]);
+    addUsageRecord(record).catch(e => console.error("Failed to save usage:", e));
+  };
+
+  // Budgets set to block stop new requests once exceeded; the others only warn (see below the prompt).
+  const isBlockedByBudget = (chatId) => {
+    const exceeded = getExceededBudgets(usageRecords, settings.budgets, chatId);
+    if (!exceeded.length || settings.budgets.action !== 'block') return false;
+    setError(`Blocked by your budget: ${describeExceededBudgets(exceeded)}. You can change budgets under Usage.`);
+    return true;
+  };
+
+  const handleSaveBudgets = (budgets) => {
+    const nextSettings = { ...settings, budgets };
+    setSettings(nextSettings);
+    saveSettings(nextSettings);
+    setIsUsageOpen(false);
+  };
+
+  const handleClearUsage = () => {
+    setUsageRecords([]);
+    clearUsageRecords().catch(e => setError(`The usage history could not be cleared: ${e.message}`));
+  };
+
+
   // --- Core Functions ---
-  const handleGenerateClick = async () => {
-    if (!OPENROUTER_API_KEY) {
-      setError("API Key is not configured. The app must be deployed with an environment variable.");
-      return;
+  // A generation run: one model's requests for one prompt. Output cut off by the length
+  // limit is continued (up to the configured number of times) and stitched together, and
+  // output that fails validation is sent back for repairs. The run collects the usage
+  // records, totals and latest result as it goes, so a cancelled run can still use them.
+  const createRun = ({ chatId, providerId, model, outputOptions, onText, onStatus }) => ({
+    chatId,
+    providerId,
+    model,
+    outputOptions,
+    onText,
+    onStatus,
+    usageTotals: { tokens: 0, cost: 0 },
+    records: [],
+    truncated: false,
+    repairAttempts: 0,
+    latestResult: null
+  });
+
+  // Every call, including repairs, continuations and cancelled streams, goes into the usage log.
+  const runCompletion = async (run, completionRequest, attempt = 0) => {
+    let content = '';
+    for (let continuation = 0; ; continuation++) {
+      const partRequest = continuation === 0 ? completionRequest : {
+        ...completionRequest,
+        payload: {
+          ...completionRequest.payload,
+          messages: [
+            ...completionRequest.payload.messages,
+            { role: 'assistant', content: stripReasoning(content) },
+            { role: 'user', content: CONTINUE_PROMPT }
+          ]
+        }
+      };
+      const startedAt = Date.now();
+      const track = (partContent, usage, cancelled = false) => {
+        const record = createUsageRecord({
+          chatId: run.chatId,
+          providerId: run.providerId,
+          model: run.model,
+          kind: continuation ? 'continuation' : attempt ? 'repair' : 'generate',
+          attempt,
+          messages: partRequest.payload.messages,
+          content: partContent,
+          usage,
+          startedAt,
+          cancelled
+        });
+        run.records.push(record);
+        recordUsage(record);
+      };
+      let result;
+      try {
+        result = isStreamingEnabled
+          ? await streamChatCompletion({
+              ...partRequest,
+              onToken: (delta, text) => run.onText(stitchContinuation(content, text))
+            })
+          : await fetchChatCompletion(partRequest);
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          track(err.partialContent || '', null, true);
+          err.partialContent = stitchContinuation(content, err.partialContent || '');
+        }
+        throw err;
+      }
+      const { usage, finishReason } = result;
+      track(result.content, usage);
+      if (usage) {
+        run.usageTotals.tokens += usage.total_tokens || 0;
+        run.usageTotals.cost += usage.total_cost ?? usage.cost ?? 0;
+      }
+      content = stitchContinuation(content, result.content);
+      if (finishReason !== 'length') return content;
+      if (continuation >= settings.maxContinuations) {
+        run.truncated = true;
+        return content;
+      }
+      if (!isStreamingEnabled) run.onStatus(`The response was cut off; requesting the rest (${continuation + 1} of ${settings.maxContinuations})...`);
+    }
+  };
+
+  // Asks the model to fix output that failed validation, up to the configured limit.
+  const generateCode = async (run, request) => {
+    run.latestResult = processModelOutput(await runCompletion(run, request), run.outputOptions);
+    while (run.latestResult.code && run.latestResult.errors.length && run.repairAttempts < settings.maxRepairAttempts) {
+      run.repairAttempts++;
+      run.onStatus(`Fixing ${run.latestResult.errors.length} problem(s), attempt ${run.repairAttempts} of ${settings.maxRepairAttempts}...`);
+      const repairRequest = {
+        ...request,
+        payload: {
+          ...request.payload,
+          messages: [
+            ...request.payload.messages,
+            { role: 'assistant', content: run.latestResult.code },
+            { role: 'user', content: buildRepairPrompt(run.latestResult.errors, run.outputOptions) }
+          ]
+        }
+      };
+      const repaired = processModelOutput(await runCompletion(run, repairRequest, run.repairAttempts), run.outputOptions);
+      if (repaired.code) run.latestResult = repaired;
     }
-    if (!prompt) {
+    return run.latestResult;
+  };
+
+  // The new request and the chat it continues. Whatever is in the editor (hand edits, or an
+  // older version opened from the history) becomes the code the request builds on.
+  const prepareGeneration = (promptText, images, newChatFields) => {
+    clearTimeout(editSaveTimerRef.current);
+    pendingEditRef.current = null;
+    const baseChat = newChatFields ? null : activeChat;
+    const chatWithEdits = baseChat && !isPlaceholder
+      ? applyManualEdit(baseChat, generatedCode)
+      : baseChat;
+    const historyForApi = chatWithEdits ? chatWithEdits.history : [];
+
+    const newUserMessage = { role: 'user', content: promptText || IMAGE_ONLY_PROMPT, createdAt: Date.now() };
+    if (images.length) newUserMessage.images = images;
+    const updatedHistoryForApi = [...historyForApi, newUserMessage];
+
+    const chatFramework = newChatFields?.framework ?? framework;
+    const multiFile = newChatFields?.multiFile ?? isMultiFileEnabled;
+    const systemPrompt = buildSystemPrompt(chatFramework, multiFile, activeDesignSystem);
+    return {
+      newUserMessage,
+      updatedHistoryForApi,
+      chatFramework,
+      multiFile,
+      messages: buildContextMessages(systemPrompt, updatedHistoryForApi, getContextOptions(settings)),
+      outputOptions: { framework: chatFramework, multiFile, maxLength: MAX_CODE_LENGTH }
+    };
+  };
+
+  // Adds a chat for `newUserMessage` and makes it the active one.
+  const startChat = (newUserMessage, fields) => {
+    const newChatId = uuidv4();
+    setActiveChatId(newChatId);
+    const newChat = {
+      id: newChatId,
+      createdAt: Date.now(),
+      title: newUserMessage.content.length > 30 ? newUserMessage.content.substring(0, 30) + '...' : newUserMessage.content,
+      providerId,
+      model,
+      framework,
+      multiFile: isMultiFileEnabled,
+      viewport,
+      designSystemId,
+      history: [],
+      ...fields
+    };
+    setChats(prevChats => [newChat, ...prevChats]);
+    return newChatId;
+  };
+
+  // `promptText` lets follow-up actions (like fixing audit findings) send a prompt of their own;
+  // `newChatFields` starts a new chat with those fields instead of continuing the active one, and
+  // `onChatStarted` runs once the request has passed its checks and the chat has started.
+  const handleGenerateClick = async (promptText = prompt, images = attachedImages, newChatFields = null, onChatStarted = null) => {
+    if (!promptText && images.length === 0) {
       setError("Please enter a prompt!");
       setTimeout(() => setError(null), 3000);
       return;
     }
+    if (isBlockedByBudget(newChatFields ? null : activeChatId)) return;
+
+    const { newUserMessage, updatedHistoryForApi, chatFramework, multiFile, messages, outputOptions } = prepareGeneration(promptText, images, newChatFields);
+
 
-    // Cancel any existing API request
+    let request;
+    try {
+      request = buildCompletionRequest({ settings, providerId, model, messages });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    // Cancel any existing API request. The run writes to the editor only while it is the
+    // current one: switching chats detaches it (see detachGeneration).
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
-    abortControllerRef.current = new AbortController();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    request.signal = controller.signal;
+    const isAttached = () => abortControllerRef.current === controller;
 
 
     setIsLoading(true);
-    setGeneratedCode(`// Generating ${framework.toUpperCase()} code, please wait...`);
+    showPlaceholder(`Generating ${getFramework(chatFramework).label} code, please wait...`);
     setError(null);
+    discardModelComparison();
 
 
-    let currentChatId = activeChatId;
-    let historyForApi = [];
-
-
-    if (!currentChatId) {
-      const newChatId = uuidv4();
-      currentChatId = newChatId;
-      setActiveChatId(newChatId);
-      const newChat = { 
-        id: newChatId, 
-        title: prompt.length > 30 ? prompt.substring(0, 30) + '...' : prompt,
-        history: [] 
-      };
-      setChats(prevChats => [newChat, ...prevChats]);
-    } else {
-      const activeChat = chats.find(c => c.id === currentChatId);
-      if (activeChat) historyForApi = activeChat.history;
-    }
-    
-    const newUserMessage = { role: 'user', content: prompt };
-    const updatedHistoryForApi = [...historyForApi, newUserMessage];
-    
-    const systemPrompt = systemPrompts[framework];
-
+    const currentChatId = (!newChatFields && activeChatId) || startChat(newUserMessage, { framework: chatFramework, multiFile, ...newChatFields });
+    onChatStarted?.();
 
-    const payload = {
-        model: "deepseek/deepseek-r1-0528-qwen3-8b:free",
-        messages: [ { role: "system", content: systemPrompt }, ...updatedHistoryForApi ],
-        max_tokens: 2000 // Limit token generation to prevent crashes
+    // Keep the completed (or cancelled partial) output as the chat's assistant message.
+    const saveAssistantMessage = (content, details = {}) => {
+      const newAssistantMessage = { role: 'assistant', content, providerId, model, createdAt: Date.now(), ...details };
+      setChats(prevChats => prevChats.map(chat => 
+        chat.id === currentChatId 
+          ? { ...chat, history: [...updatedHistoryForApi, newAssistantMessage] } 
+          : chat
+      ));
     };
 
+    const run = createRun({
+      chatId: currentChatId,
+      providerId,
+      model,
+      outputOptions,
+      onText: (text) => {
+        if (!isAttached()) return;
+        const code = stripReasoning(text);
+        if (code) showCode(code);
+        else showPlaceholder('The model is reasoning, please wait...');
+      },
+      onStatus: (message) => {
+        if (isAttached()) showPlaceholder(message);
+      }
+    });
+
 
     try {
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-            'HTTP-Referer': window.location.href,
-            'X-Title': 'AI Frontend Generator'
-        },
-        body: JSON.stringify(payload),
-        signal: abortControllerRef.current.signal
-      });
-      
-      if (!response.ok) {
-        const errText = await response.text();
-        throw new Error(`API request failed with status: ${response.status}. Body: ${errText}`);
-      }
-      
-      const result = await response.json();
-      const code = result.choices?.[0]?.message?.content;
-      const usage = result.usage;
+      const { code: finalCode, errors, truncated } = await generateCode(run, request);
       
-      if (code) {
-        const cleanedCode = code.replace(/``````/g, '').trim();
-        
-        // Limit code size to prevent memory issues
-        const maxCodeLength = 50000;
-        const finalCode = cleanedCode.length > maxCodeLength 
-          ? cleanedCode.substring(0, maxCodeLength) + '\n// ... (code truncated for performance)'
-          : cleanedCode;
-        
-        setGeneratedCode(finalCode);
-        
-        if (usage) {
-          setLastGenerationInfo({
-            tokens: usage.total_tokens || 0,
-            cost: usage.total_cost || 0
-          });
-        }
-        
-        const newAssistantMessage = { role: 'assistant', content: finalCode };
-        
-        setChats(prevChats => prevChats.map(chat => 
-          chat.id === currentChatId 
-            ? { ...chat, history: [...updatedHistoryForApi, newAssistantMessage] } 
-            : chat
-        ));
+      if (finalCode) {
+        saveAssistantMessage(finalCode, { repairAttempts: run.repairAttempts, validationErrors: errors, ...((run.truncated || truncated) && { truncated: true }) });
+        if (!isAttached()) return;
+        showCode(finalCode);
+        setLastGenerationInfo(run.usageTotals);
         setPrompt('');
+        setAttachedImages([]);
+        if (run.truncated) {
+          setError(`The response was still cut off after ${settings.maxContinuations} continuation(s). Raise Max Tokens or Automatic Continuations in Settings.`);
+        } else if (truncated) {
+          setError(`The generated code was longer than ${MAX_CODE_LENGTH.toLocaleString()} characters and has been cut off, so it is incomplete.`);
+        } else if (errors.length) {
+          setError(`The generated code may be broken: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+        }
       } else {
         throw new Error("Received an empty or invalid response from the API.");
       }
     } catch (err) {
       if (err.name === 'AbortError') {
         console.log('Request was cancelled');
-        setGeneratedCode('// Request cancelled');
-      } else {
+        // Prefer a complete earlier attempt over the partial output of a repair.
+        const partialCode = run.latestResult?.code || processModelOutput(err.partialContent || '', outputOptions).code;
+        if (partialCode) saveAssistantMessage(partialCode, { cancelled: true });
+        if (!isAttached()) return;
+        if (partialCode) showCode(partialCode);
+        else showPlaceholder('Request cancelled');
+        setLastGenerationInfo(run.usageTotals);
+      } else if (isAttached()) {
         setError(err.message.split('Body:')[0]);
-        setGeneratedCode(`// Error: ${err.message}`);
+        showPlaceholder(`Error: ${err.message}`);
       }
     } finally {
-      setIsLoading(false);
-      abortControllerRef.current = null;
+      if (isAttached()) {
+        setIsLoading(false);
+        abortControllerRef.current = null;
+      }
     }
   };
 
 
+  // --- Model Comparison ---
+  // Compare mode sends the same request to the chat's model and the models added for
+  // comparison, in parallel, each with its own AbortController. The results are shown side
+  // by side, and the one picked continues the chat as its assistant message.
+  const comparisonModels = getComparisonModels({ providerId, model }, settings.compareModels);
+
+  const handleCompareModelsChange = (compareModels) => {
+    const nextSettings = { ...settings, compareModels };
+    setSettings(nextSettings);
+    saveSettings(nextSettings);
+  };
+
+  const updateComparisonResult = (resultId, changes) => {
+    setModelComparison(prev => prev && {
+      ...prev,
+      results: prev.results.map(result => (result.id === resultId ? { ...result, ...changes } : result))
+    });
+  };
+
+  const handleCompareClick = async (promptText = prompt, images = attachedImages) => {
+    if (!promptText && images.length === 0) {
+      setError("Please enter a prompt!");
+      setTimeout(() => setError(null), 3000);
+      return;
+    }
+    if (comparisonModels.length < 2) {
+      setError("Add at least one more model to compare with.");
+      return;
+    }
+    if (isBlockedByBudget(activeChatId)) return;
+
+    const { newUserMessage, updatedHistoryForApi, chatFramework, multiFile, messages, outputOptions } = prepareGeneration(promptText, images, null);
+
+    // A model whose provider isn't usable yet shows its error in place of a result.
+    const entries = comparisonModels.map(entry => {
+      const id = uuidv4();
+      try {
+        return { ...entry, id, request: buildCompletionRequest({ settings, ...entry, messages }) };
+      } catch (err) {
+        return { ...entry, id, error: err.message };
+      }
+    });
+
+    modelComparisonControllersRef.current.forEach(controller => controller.abort());
+    setIsLoading(true);
+    setError(null);
+    setSelectedElement(null);
+    setIsInspecting(false);
+
+    const chatId = activeChatId || startChat(newUserMessage, { framework: chatFramework, multiFile });
+    setModelComparison({
+      chatId,
+      framework: chatFramework,
+      history: updatedHistoryForApi,
+      results: entries.map(({ id, providerId: entryProviderId, model: entryModel, error: entryError }) => ({
+        id,
+        providerId: entryProviderId,
+        model: entryModel,
+        status: entryError ? 'error' : 'running',
+        message: entryError || 'Waiting for the response...',
+        code: ''
+      }))
+    });
+
+    await Promise.all(entries.filter(entry => entry.request).map(async (entry) => {
+      const controller = new AbortController();
+      modelComparisonControllersRef.current.set(entry.id, controller);
+      const startedAt = Date.now();
+      const run = createRun({
+        chatId,
+        providerId: entry.providerId,
+        model: entry.model,
+        outputOptions,
+        onText: (text) => updateComparisonResult(entry.id, { message: `Receiving... ${text.length.toLocaleString()} characters` }),
+        onStatus: (message) => updateComparisonResult(entry.id, { message })
+      });
+      const stats = () => ({
+        ...totalUsage(run.records),
+        estimated: run.records.some(record => record.estimated),
+        latencyMs: Date.now() - startedAt,
+        repairAttempts: run.repairAttempts,
+        truncated: run.truncated || !!run.latestResult?.truncated
+      });
+      try {
+        const { code, errors } = await generateCode(run, { ...entry.request, signal: controller.signal });
+        if (!code) throw new Error("Received an empty or invalid response from the API.");
+        updateComparisonResult(entry.id, { status: 'done', message: '', code, errors, stats: stats() });
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          const partialCode = run.latestResult?.code || processModelOutput(err.partialContent || '', outputOptions).code;
+          updateComparisonResult(entry.id, { status: 'cancelled', message: 'Cancelled', code: partialCode || '', errors: [], stats: stats() });
+        } else {
+          updateComparisonResult(entry.id, { status: 'error', message: err.message.split('Body:')[0], stats: stats() });
+        }
+      } finally {
+        modelComparisonControllersRef.current.delete(entry.id);
+      }
+    }));
+    setIsLoading(false);
+  };
+
+  const handleCancelComparisonResult = (resultId) => {
+    modelComparisonControllersRef.current.get(resultId)?.abort();
+  };
+
+  const discardModelComparison = () => {
+    modelComparisonControllersRef.current.forEach(controller => controller.abort());
+    setModelComparison(null);
+  };
+
+  // The picked output becomes the chat's assistant message, and its model the chat's model.
+  const handlePickComparisonResult = (result) => {
+    const { chatId, history, results } = modelComparison;
+    const newAssistantMessage = {
+      role: 'assistant',
+      content: result.code,
+      providerId: result.providerId,
+      model: result.model,
+      createdAt: Date.now(),
+      repairAttempts: result.stats.repairAttempts,
+      validationErrors: result.errors,
+      comparedWith: results.filter(other => other.id !== result.id).map(other => ({ providerId: other.providerId, model: other.model })),
+      ...(result.stats.truncated && { truncated: true }),
+      ...(result.status === 'cancelled' && { cancelled: true })
+    };
+    setChats(prevChats => prevChats.map(chat =>
+      chat.id === chatId
+        ? { ...chat, providerId: result.providerId, model: result.model, history: [...history, newAssistantMessage] }
+        : chat
+    ));
+    discardModelComparison();
+    setProviderId(result.providerId);
+    setModel(result.model);
+    showCode(result.code);
+    setLastGenerationInfo({ tokens: result.stats.totalTokens, cost: result.stats.cost });
+    setPrompt('');
+    setAttachedImages([]);
+  };
+
+
+  const handleCancelClick = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    modelComparisonControllersRef.current.forEach(controller => controller.abort());
+  };
+
+
+  // Cancels the request in flight and detaches it from the editor, so its output can't
+  // land in the chat switched to. A cancelled generation still saves to its own chat.
+  const detachGeneration = () => {
+    const controller = abortControllerRef.current;
+    if (!controller) return;
+    abortControllerRef.current = null;
+    controller.abort();
+    setIsLoading(false);
+  };
+
   const handleNewChat = () => {
+    detachGeneration();
+    flushManualEdit();
     setActiveChatId(null);
+    setSharedPayload(null);
     setPrompt('');
-    setGeneratedCode('// Start a new chat by typing a prompt or choosing an example.');
+    setAttachedImages([]);
+    showPlaceholder('Start a new chat by typing a prompt or choosing an example.');
     setLastGenerationInfo({ tokens: 0, cost: 0 });
+    setProviderId(settings.providerId);
+    setModel(settings.providers[settings.providerId].model);
+    setActiveFile(null);
+    setOpenFiles([]);
+    setSelectedElement(null);
+    setIsComparing(false);
+    discardModelComparison();
   };
   
   const handleSelectChat = (chatId) => {
     const chat = chats.find(c => c.id === chatId);
     if (chat) {
+      detachGeneration();
+      flushManualEdit();
       setActiveChatId(chat.id);
+      setSharedPayload(null);
       const lastAssistantMessage = [...chat.history].reverse().find(m => m.role === 'assistant');
-      setGeneratedCode(lastAssistantMessage ? lastAssistantMessage.content : '// This chat is empty.');
+      if (lastAssistantMessage) showCode(lastAssistantMessage.content);
+      else showPlaceholder('This chat is empty.');
+      if (chat.framework) setFramework(chat.framework);
+      setIsMultiFileEnabled(!!chat.multiFile);
+      setViewport(chat.viewport || DEFAULT_VIEWPORT);
+      setDesignSystemId(designSystems.some(d => d.id === chat.designSystemId) ? chat.designSystemId : null);
+      setActiveFile(null);
+      setOpenFiles([]);
+      setSelectedElement(null);
+      setIsComparing(false);
+      discardModelComparison();
+      if (chat.providerId && settings.providers[chat.providerId]) {
+        setProviderId(chat.providerId);
+        setModel(chat.model || settings.providers[chat.providerId].model);
+      }
+    }
+  };
+
+
+  // The provider and model are remembered per chat.
+  const updateActiveChatModel = (nextProviderId, nextModel) => {
+    setProviderId(nextProviderId);
+    setModel(nextModel);
+    if (activeChatId) {
+      setChats(prevChats => prevChats.map(chat =>
+        chat.id === activeChatId ? { ...chat, providerId: nextProviderId, model: nextModel } : chat
+      ));
+    }
+  };
+
+  const handleProviderChange = (nextProviderId) => {
+    updateActiveChatModel(nextProviderId, settings.providers[nextProviderId].model);
+  };
+
+  const handleSaveSettings = (nextSettings) => {
+    setSettings(nextSettings);
+    saveSettings(nextSettings);
+    setIsSettingsOpen(false);
+    if (!activeChatId) {
+      setProviderId(nextSettings.providerId);
+      setModel(nextSettings.providers[nextSettings.providerId].model);
     }
   };
   
+  // The preview viewport is remembered per chat.
+  const handleViewportChange = (nextViewport) => {
+    setViewport(nextViewport);
+    if (activeChatId) {
+      setChats(prevChats => prevChats.map(chat =>
+        chat.id === activeChatId ? { ...chat, viewport: nextViewport } : chat
+      ));
+    }
+  };
+
+
+  // --- Version History ---
+  const handleOpenVersion = (version) => {
+    showCode(version.message.content);
+    setIsHistoryOpen(false);
+  };
+
+  // Restoring appends the old version as the newest turn, so the model sees it as the current code.
+  const handleRestoreVersion = (version) => {
+    const now = Date.now();
+    const restoreMessages = [
+      { role: 'user', content: `Revert to version ${version.number} of the code.`, createdAt: now },
+      {
+        role: 'assistant',
+        content: version.message.content,
+        providerId: version.message.providerId,
+        model: version.message.model,
+        createdAt: now,
+        restoredFrom: version.number
+      }
+    ];
+    setChats(prevChats => prevChats.map(chat =>
+      chat.id === activeChatId ? { ...chat, history: [...chat.history, ...restoreMessages] } : chat
+    ));
+    showCode(version.message.content);
+    setIsHistoryOpen(false);
+    setToastMessage(`Restored version ${version.number}`);
+    setShowToast(true);
+    setTimeout(() => setShowToast(false), 2000);
+  };
+
+  const handleBranchChat = (version) => {
+    detachGeneration();
+    flushManualEdit();
+    const branch = {
+      ...activeChat,
+      id: uuidv4(),
+      createdAt: Date.now(),
+      title: `${activeChat.title} (v${version.number})`,
+      branchedFrom: { chatId: activeChat.id, version: version.number },
+      history: activeChat.history.slice(0, version.index + 1)
+    };
+    setChats(prevChats => [branch, ...prevChats]);
+    setActiveChatId(branch.id);
+    showCode(version.message.content);
+    setActiveFile(null);
+    setOpenFiles([]);
+    setIsHistoryOpen(false);
+  };
+
+  // Converting starts a new chat linked to this one; the code it was made
+  // from is kept on the new chat so both can be previewed side by side.
+  // The view switches over only once that chat has started, so a blocked
+  // request leaves the current one as it was.
+  const handleConvert = (targetFramework) => {
+    flushManualEdit();
+    const multiFile = !!projectFiles;
+    const title = activeChat?.title || sharedPayload?.title || 'Untitled';
+    handleGenerateClick(buildConversionPrompt({ code: generatedCode, from: framework, to: targetFramework, multiFile }), [], {
+      framework: targetFramework,
+      multiFile,
+      title: conversionTitle(title, targetFramework),
+      convertedFrom: { chatId: activeChatId, title, framework, code: generatedCode }
+    }, () => {
+      setFramework(targetFramework);
+      setIsMultiFileEnabled(multiFile);
+      setSharedPayload(null);
+      setActiveFile(null);
+      setOpenFiles([]);
+      setSelectedElement(null);
+      setIsComparing(true);
+    });
+  };
+
+
   const handleDeleteChat = (chatId) => {
-    const updatedChats = chats.filter(c => c.id !== chatId);
-    setChats(updatedChats);
-    localStorage.setItem('ai-frontend-chats', JSON.stringify(updatedChats));
+    setChats(prevChats => prevChats.filter(c => c.id !== chatId));
     if (activeChatId === chatId) handleNewChat();
   };
 
 
+  // --- Chat Library ---
+  // Renaming, pinning and moving between folders.
+  const handleUpdateChat = (chatId, changes) => {
+    setChats(prevChats => prevChats.map(chat => chat.id === chatId ? { ...chat, ...changes } : chat));
+  };
+
+  const handleCreateFolder = (name) => {
+    setFolders(prevFolders => [...prevFolders, { id: uuidv4(), name, createdAt: Date.now() }].sort((a, b) => a.name.localeCompare(b.name)));
+  };
+
+  const handleRenameFolder = (folderId, name) => {
+    setFolders(prevFolders => prevFolders.map(folder => folder.id === folderId ? { ...folder, name } : folder).sort((a, b) => a.name.localeCompare(b.name)));
+  };
+
+  // Chats in a deleted folder are kept and become unfiled.
+  const handleDeleteFolder = (folderId) => {
+    setFolders(prevFolders => prevFolders.filter(folder => folder.id !== folderId));
+    setChats(prevChats => prevChats.map(chat => chat.folderId === folderId ? { ...chat, folderId: null } : chat));
+  };
+
+  // Exports the given chats, or the whole library when `chatIds` is null.
+  const handleExportChats = (chatIds) => {
+    const selectedChats = chatIds ? chats.filter(chat => chatIds.includes(chat.id)) : chats;
+    const json = buildChatExport(selectedChats, folders);
+    const fileName = selectedChats.length === 1 && chatIds
+      ? `chat-${selectedChats[0].title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'export'}.json`
+      : `chats-${new Date().toISOString().slice(0, 10)}.json`;
+    downloadBlob(new Blob([json], { type: 'application/json' }), fileName);
+  };
+
+  // Imported chats never replace existing ones: clashing ids get new ones.
+  const handleImportChats = async (file) => {
+    try {
+      const imported = parseChatImport(await file.text());
+      const chatIds = new Set(chats.map(chat => chat.id));
+      const folderIds = new Set(folders.map(folder => folder.id));
+      const importedChats = imported.chats.map(chat => chatIds.has(chat.id) ? { ...chat, id: uuidv4() } : chat);
+      setChats(prevChats => [...importedChats, ...prevChats]);
+      setFolders(prevFolders => [...prevFolders, ...imported.folders.filter(folder => !folderIds.has(folder.id))].sort((a, b) => a.name.localeCompare(b.name)));
+      setToastMessage(`Imported ${importedChats.length} chat${importedChats.length === 1 ? '' : 's'}!`);
+      setShowToast(true);
+      setTimeout(() => setShowToast(false), 2000);
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  };
+
+
   const handleCopyClick = () => {
-    if (!generatedCode || generatedCode.startsWith('//')) return;
-    navigator.clipboard.writeText(generatedCode).then(() => {
-      setToastMessage('Copied to clipboard!');
+    if (!generatedCode || isPlaceholder) return;
+    const text = projectFiles ? projectFiles[currentFile] : generatedCode;
+    navigator.clipboard.writeText(text).then(() => {
+      setToastMessage(projectFiles ? `Copied ${currentFile} to clipboard!` : 'Copied to clipboard!');
       setShowToast(true);
       setTimeout(() => setShowToast(false), 2000);
     });
   };
 
 
-  const handleShareClick = () => {
-    if (!generatedCode || generatedCode.startsWith('//')) {
-      setToastMessage('Nothing to share yet!');
+  const handleDownloadZipClick = () => {
+    if (!generatedCode || isPlaceholder) {
+      setToastMessage('Nothing to download yet!');
       setShowToast(true);
       setTimeout(() => setShowToast(false), 2000);
       return;
     }
-    const compressedCode = compressToEncodedURIComponent(generatedCode);
-    const shareUrl = `${window.location.origin}${window.location.pathname}#/share/${compressedCode}`;
-    navigator.clipboard.writeText(shareUrl).then(() => {
-      setToastMessage('Share link copied to clipboard!');
+    const [fileName] = frameworkDefinition.entryFiles;
+    const files = projectFiles || { [fileName]: generatedCode };
+    const entry = getProjectEntry(files, framework);
+    if (!entry) {
+      setError(`The project has no ${fileName} to use as its entry point.`);
+      return;
+    }
+    downloadBlob(buildProjectZip(files, framework, entry, { designSystem: activeDesignSystem }), `${framework}-project.zip`);
+  };
+
+
+  // --- Project File Tabs ---
+  const handleOpenFile = (path) => {
+    setActiveFile(path);
+    setOpenFiles(prev => prev.includes(path) ? prev : [...prev, path]);
+  };
+
+  const handleCloseFile = (path) => {
+    const remaining = fileTabs.filter(p => p !== path);
+    setOpenFiles(remaining);
+    if (path === currentFile) setActiveFile(remaining[remaining.length - 1] || null);
+  };
+
+
+  // --- Templates & Design Systems ---
+  const startChatWithPrompt = (text) => {
+    handleNewChat();
+    setPrompt(text);
+  };
+
+  // Templates with variables are filled in through a form first.
+  const handleUseTemplate = (template) => {
+    setIsTemplateLibraryOpen(false);
+    if (getTemplateVariables(template.prompt).length) setPendingTemplate(template);
+    else startChatWithPrompt(template.prompt);
+  };
+
+  const handleTemplatesChange = (nextTemplates) => {
+    setTemplates(nextTemplates);
+    saveTemplates(nextTemplates);
+  };
+
+  const handleDesignSystemsChange = (nextDesignSystems) => {
+    setDesignSystems(nextDesignSystems);
+    saveDesignSystems(nextDesignSystems);
+  };
+
+  // The framework is remembered per chat.
+  const handleFrameworkChange = (nextFramework) => {
+    setFramework(nextFramework);
+    if (activeChatId) {
+      setChats(prevChats => prevChats.map(chat => chat.id === activeChatId ? { ...chat, framework: nextFramework } : chat));
+    }
+  };
+
+  // The design system is remembered per chat.
+  const handleDesignSystemChange = (nextDesignSystemId) => {
+    setDesignSystemId(nextDesignSystemId);
+    if (activeChatId) {
+      setChats(prevChats => prevChats.map(chat => chat.id === activeChatId ? { ...chat, designSystemId: nextDesignSystemId } : chat));
+    }
+  };
+
+
+  // --- Image Attachments ---
+  const handleAttachImages = async (files) => {
+    const accepted = files.slice(0, MAX_ATTACHED_IMAGES - attachedImages.length);
+    if (accepted.length < files.length) setError(`You can attach up to ${MAX_ATTACHED_IMAGES} images.`);
+    try {
+      const images = await Promise.all(accepted.map(file => downscaleImage(file)));
+      setAttachedImages(prev => [...prev, ...images].slice(0, MAX_ATTACHED_IMAGES));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePromptPaste = (e) => {
+    const files = getImageFiles(e.clipboardData);
+    if (files.length === 0) return;
+    e.preventDefault();
+    handleAttachImages(files);
+  };
+
+  const handlePromptDrop = (e) => {
+    const files = getImageFiles(e.dataTransfer);
+    if (files.length === 0) return;
+    e.preventDefault();
+    handleAttachImages(files);
+  };
+
+
+  // --- Accessibility Audit ---
+  const handleRevealLocation = (location) => {
+    if (location.path && location.path !== currentFile) {
+      pendingRevealRef.current = location;
+      handleOpenFile(location.path);
+    } else {
+      revealEditorLines(editorRef.current, location.line, location.endLine);
+    }
+  };
+
+  const handleRerunAudit = () => {
+    setAuditFindings(null);
+    postToPreview(iframeRef, 'run-audit');
+  };
+
+  const handleFixAuditFindings = () => {
+    const fixPrompt = buildAuditFixPrompt(auditFindings);
+    setPrompt(fixPrompt);
+    handleGenerateClick(fixPrompt, []);
+  };
+
+  const handleFixConsoleErrors = () => {
+    const fixPrompt = buildConsoleFixPrompt(consoleEntries);
+    setPrompt(fixPrompt);
+    handleGenerateClick(fixPrompt, []);
+  };
+
+
+  // --- Targeted Refinement ---
+  const handleToggleInspect = () => {
+    const enabled = !isInspecting;
+    setIsInspecting(enabled);
+    postToPreview(iframeRef, 'set-inspect', { enabled });
+  };
+
+  const handleClearSelection = () => {
+    setSelectedElement(null);
+    postToPreview(iframeRef, 'clear-selection');
+  };
+
+  // Sends only the selected element (with some surrounding code) to the model and
+  // splices the result back in its place.
+  const handleRefineSelection = async (instruction) => {
+    if (isBlockedByBudget(activeChatId)) return;
+    const target = selection;
+    const fileCode = target.path ? projectFiles[target.path] : generatedCode;
+
+    let request;
+    try {
+      request = buildCompletionRequest({
+        settings,
+        providerId,
+        model,
+        messages: buildRefineMessages({ framework, code: fileCode, start: target.start, end: target.end, instruction, path: target.path })
+      });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    clearTimeout(editSaveTimerRef.current);
+    pendingEditRef.current = null;
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    request.signal = controller.signal;
+    setIsLoading(true);
+    setError(null);
+
+    const startedAt = Date.now();
+    try {
+      const { content, usage } = await fetchChatCompletion(request);
+      recordUsage(createUsageRecord({ chatId: activeChatId, providerId, model, kind: 'refine', messages: request.payload.messages, content, usage, startedAt }));
+      const fragment = extractFragment(content);
+      if (!fragment) throw new Error("Received an empty or invalid response from the API.");
+      const refinedFile = spliceFragment(fileCode, target.start, target.end, fragment);
+      const refinedCode = target.path ? serializeProjectFiles({ ...projectFiles, [target.path]: refinedFile }) : refinedFile;
+      const errors = validateCode(refinedCode, { framework, multiFile: !!projectFiles });
+
+      showCode(refinedCode);
+      setLastGenerationInfo({ tokens: usage?.total_tokens || 0, cost: usage?.total_cost ?? usage?.cost ?? 0 });
+      if (activeChat) {
+        const now = Date.now();
+        const chatWithEdits = applyManualEdit(activeChat, generatedCode);
+        const userMessage = { role: 'user', content: `Change only this element: ${selectedElement.snippet}\n${instruction}`, createdAt: now };
+        const assistantMessage = { role: 'assistant', content: refinedCode, providerId, model, createdAt: now, validationErrors: errors };
+        setChats(prevChats => prevChats.map(chat => chat.id === activeChat.id
+          ? { ...chatWithEdits, history: [...chatWithEdits.history, userMessage, assistantMessage] }
+          : chat
+        ));
+      }
+      handleClearSelection();
+      if (errors.length) {
+        setError(`The refined code may be broken: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        recordUsage(createUsageRecord({ chatId: activeChatId, providerId, model, kind: 'refine', messages: request.payload.messages, content: '', usage: null, startedAt, cancelled: true }));
+      } else {
+        setError(err.message.split('Body:')[0]);
+      }
+    } finally {
+      if (abortControllerRef.current === controller) {
+        setIsLoading(false);
+        abortControllerRef.current = null;
+      }
+    }
+  };
+
+
+  const handleShareClick = () => {
+    if (!generatedCode || isPlaceholder) {
+      setToastMessage('Nothing to share yet!');
       setShowToast(true);
       setTimeout(() => setShowToast(false), 2000);
-    });
+      return;
+    }
+    setIsShareOpen(true);
+  };
+
+  const handleCreateShareLink = ({ includeHistory, useShortLink }) => {
+    const history = includeHistory && activeChat ? applyManualEdit(activeChat, generatedCode).history : null;
+    const payload = buildSharePayload({ code: generatedCode, framework, title: activeChat?.title, history });
+    return useShortLink ? createShortLink(payload) : Promise.resolve(createShareUrl(payload));
+  };
+
+  // Saves the shared page (and its prompt history, if it came with one) as a new chat.
+  const handleForkSharedChat = () => {
+    detachGeneration();
+    const now = Date.now();
+    const title = sharedPayload.title || 'Shared page';
+    const history = sharedPayload.history?.length
+      ? sharedPayload.history
+      : [
+          { role: 'user', content: title, createdAt: now },
+          { role: 'assistant', content: getSharedCode(sharedPayload), createdAt: now }
+        ];
+    const chat = applyManualEdit({
+      id: uuidv4(),
+      createdAt: now,
+      title,
+      providerId,
+      model,
+      framework: sharedPayload.framework,
+      multiFile: !!sharedPayload.files,
+      viewport,
+      forkedFromShare: true,
+      history
+    }, generatedCode);
+    setChats(prevChats => [chat, ...prevChats]);
+    setActiveChatId(chat.id);
+    setSharedPayload(null);
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    setToastMessage('Forked into your chats!');
+    setShowToast(true);
+    setTimeout(() => setShowToast(false), 2000);
   };
 
 
   return (
     <div className="h-screen flex font-sans bg-gradient-to-br from-slate-900 to-gray-900 text-white">
-      <aside className={`bg-slate-900/70 backdrop-blur-sm border-r border-slate-800 flex flex-col transition-all duration-300 ${isSidebarOpen ? 'w-64' : 'w-0'} overflow-hidden`}>
-        <div className="flex justify-between items-center p-4 border-b border-slate-800 flex-shrink-0">
-          <h2 className="text-lg font-bold">Chat History</h2>
-          <button onClick={handleNewChat} className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-full transition-colors">
-            + New
-          </button>
-        </div>
-        <nav className="flex-grow overflow-y-auto p-2">
-          <ul>
-            {chats.map(chat => (
-              <li key={chat.id} className={`group flex items-center justify-between rounded-md p-2 my-1 cursor-pointer ${activeChatId === chat.id ? 'bg-sky-500/20' : 'hover:bg-slate-800'}`} onClick={() => handleSelectChat(chat.id)}>
-                <span className="truncate text-sm">{chat.title}</span>
-                <button onClick={(e) => { e.stopPropagation(); handleDeleteChat(chat.id); }} className="text-slate-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity">
-                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>
-                </button>
-              </li>
-            ))}
-          </ul>
-        </nav>
-      </aside>
+      <ChatSidebar
+        isOpen={isSidebarOpen}
+        chats={chats}
+        folders={folders}
+        activeChatId={activeChatId}
+        onNewChat={handleNewChat}
+        onSelectChat={handleSelectChat}
+        onDeleteChat={handleDeleteChat}
+        onUpdateChat={handleUpdateChat}
+        onCreateFolder={handleCreateFolder}
+        onRenameFolder={handleRenameFolder}
+        onDeleteFolder={handleDeleteFolder}
+        onExport={handleExportChats}
+        onImport={handleImportChats}
+      />
 
 
       <div className="flex-1 flex flex-col h-screen">
@@ -326,11 +1368,17 @@ function App() {
             <h1 className="text-2xl font-bold text-sky-500">AI Frontend Generator</h1>
             <div className="flex items-center gap-4">
                 <div className="text-right">
-                    <span className="text-xs text-slate-400 block">Last Gen: {lastGenerationInfo.tokens.toLocaleString()} tokens</span>
-                    <span className="text-xs text-green-400 block">Cost: ${lastGenerationInfo.cost.toFixed(6)}</span>
+                    <span className="text-xs text-slate-400 block">Last Gen: {lastGenerationInfo.tokens.toLocaleString()} tokens · <span className="text-green-400">${lastGenerationInfo.cost.toFixed(6)}</span></span>
+                    <span className="text-xs text-slate-400 block">This chat: {formatCost(chatUsage.cost)} · Today: <span className="text-green-400">{formatCost(todayUsage.cost)}</span></span>
                 </div>
                 <span className="text-sm text-slate-400 hidden sm:block">|</span>
-                <span className="text-sm text-slate-400 hidden sm:block">Powered by OpenRouter</span>
+                <span className="text-sm text-slate-400 hidden sm:block">Powered by {getProviderName(providerId)}</span>
+                <button onClick={() => setIsUsageOpen(true)} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors">
+                  Usage
+                </button>
+                <button onClick={() => setIsSettingsOpen(true)} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors">
+                  Settings
+                </button>
             </div>
           </div>
         </header>
@@ -345,15 +1393,52 @@ function App() {
                       <label className="text-sm text-slate-400">Framework:</label>
                       <select 
                           value={framework} 
-                          onChange={(e) => setFramework(e.target.value)}
+                          onChange={(e) => handleFrameworkChange(e.target.value)}
                           className="bg-slate-700/50 text-slate-300 text-sm rounded-md p-1 border border-slate-700 focus:ring-1 focus:ring-sky-500"
                       >
-                          <option value="html">HTML</option>
-                          <option value="react">React</option>
-                          <option value="vue">Vue</option>
+                          {Object.values(frameworks).map(definition => (
+                            <option key={definition.id} value={definition.id}>{definition.label}</option>
+                          ))}
                       </select>
                   </div>
               </div>
+              <div className="flex items-center gap-2 mb-3">
+                  <label className="text-sm text-slate-400">Model:</label>
+                  <select
+                      value={providerId}
+                      onChange={(e) => handleProviderChange(e.target.value)}
+                      disabled={isLoading}
+                      className="bg-slate-700/50 text-slate-300 text-sm rounded-md p-1 border border-slate-700 focus:ring-1 focus:ring-sky-500"
+                  >
+                      {Object.entries(providerPresets).map(([id, preset]) => (
+                        <option key={id} value={id}>{preset.name}</option>
+                      ))}
+                  </select>
+                  <input
+                      value={model}
+                      onChange={(e) => updateActiveChatModel(providerId, e.target.value)}
+                      disabled={isLoading}
+                      placeholder="model-name"
+                      className="flex-grow min-w-0 bg-slate-700/50 text-slate-300 text-sm rounded-md p-1 border border-slate-700 focus:ring-1 focus:ring-sky-500"
+                  />
+              </div>
+              <div className="flex items-center gap-2 mb-3">
+                  <label className="text-sm text-slate-400">Design system:</label>
+                  <select
+                      value={designSystemId || ''}
+                      onChange={(e) => handleDesignSystemChange(e.target.value || null)}
+                      disabled={isLoading}
+                      className="flex-grow min-w-0 bg-slate-700/50 text-slate-300 text-sm rounded-md p-1 border border-slate-700 focus:ring-1 focus:ring-sky-500"
+                  >
+                      <option value="">None</option>
+                      {designSystems.map(designSystem => (
+                        <option key={designSystem.id} value={designSystem.id}>{designSystem.name}</option>
+                      ))}
+                  </select>
+                  <button onClick={() => setIsDesignSystemsOpen(true)} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors">
+                    Manage
+                  </button>
+              </div>
               <textarea 
                 id="prompt-input" 
                 rows="4" 
@@ -361,73 +1446,404 @@ function App() {
                 placeholder="e.g., A professional hero section for a SaaS product..."
                 value={prompt}
                 onChange={(e) => setPrompt(e.target.value)}
+                onPaste={handlePromptPaste}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={handlePromptDrop}
                 disabled={isLoading}
               />
+              <div className="mt-2 flex flex-wrap items-center gap-2">
+                {attachedImages.map((image, index) => (
+                  <div key={index} className="relative group">
+                    <img src={image} alt={`Attachment ${index + 1}`} className="h-14 w-20 object-cover rounded-md border border-slate-700" />
+                    <button
+                      onClick={() => setAttachedImages(prev => prev.filter((_, i) => i !== index))}
+                      disabled={isLoading}
+                      className="absolute -top-2 -right-2 h-5 w-5 rounded-full bg-slate-900 border border-slate-600 text-xs text-slate-300 hover:text-red-400 opacity-0 group-hover:opacity-100"
+                      aria-label={`Remove attachment ${index + 1}`}
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => imageInputRef.current.click()}
+                  disabled={isLoading || attachedImages.length >= MAX_ATTACHED_IMAGES}
+                  className="bg-slate-700/50 hover:bg-slate-700 text-slate-300 text-sm font-medium py-1 px-3 rounded-md transition-colors disabled:opacity-50"
+                >
+                  Attach Image
+                </button>
+                {attachedImages.length === 0 && (
+                  <span className="text-xs text-slate-500">or paste / drop a screenshot into the prompt</span>
+                )}
+                <input
+                  ref={imageInputRef}
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  className="hidden"
+                  onChange={(e) => { handleAttachImages(Array.from(e.target.files)); e.target.value = ''; }}
+                />
+              </div>
               <div className="mt-3">
-                  <label className="block text-sm font-medium text-slate-400 mb-2">Or start a new chat with an example:</label>
+                  <label className="block text-sm font-medium text-slate-400 mb-2">Or start a new chat from a template:</label>
                   <div className="flex flex-wrap gap-2">
-                    {promptTemplates.map((template) => (
+                    {[...templates, ...builtInTemplates].slice(0, MAX_TEMPLATE_SHORTCUTS).map((template) => (
                       <button
-                        key={template.title}
-                        onClick={() => { handleNewChat(); setPrompt(template.prompt); }}
+                        key={template.id}
+                        onClick={() => handleUseTemplate(template)}
                         className="bg-slate-700/50 hover:bg-slate-700 text-slate-300 text-sm font-medium py-1 px-3 rounded-full transition-colors disabled:opacity-50"
                       >
                         {template.title}
                       </button>
                     ))}
+                    <button
+                      onClick={() => setIsTemplateLibraryOpen(true)}
+                      className="text-sky-300 hover:bg-sky-500/20 text-sm font-medium py-1 px-3 rounded-full transition-colors"
+                    >
+                      All templates…
+                    </button>
                   </div>
               </div>
+              {sharedPayload && (
+                <div className="mt-3 flex items-center justify-between gap-2 rounded-lg border border-sky-500/30 bg-sky-500/10 p-2 text-sm">
+                  <span className="text-sky-200 truncate">
+                    Viewing a shared {getFramework(sharedPayload.framework).label} page{sharedPayload.title ? `: ${sharedPayload.title}` : ''}
+                    {sharedPayload.history && <span className="text-slate-400"> · {sharedPayload.history.filter(m => m.role === 'user').length} prompts</span>}
+                  </span>
+                  <div className="flex gap-2 flex-shrink-0">
+                    <button onClick={handleForkSharedChat} className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">
+                      Fork into my chats
+                    </button>
+                    <button onClick={() => setSharedPayload(null)} className="text-slate-400 hover:text-white px-1" aria-label="Dismiss">×</button>
+                  </div>
+                </div>
+              )}
               {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
-              <button 
-                id="generate-btn" 
-                className="mt-5 w-full bg-gradient-to-r from-sky-500 to-cyan-500 hover:from-sky-600 hover:to-cyan-600 text-white font-bold py-3 px-4 rounded-lg flex items-center justify-center transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed transform hover:-translate-y-0.5 shadow-lg shadow-sky-500/20 hover:shadow-xl hover:shadow-cyan-500/20"
-                onClick={handleGenerateClick}
-                disabled={isLoading}
-              >
-                {isLoading ? 'Generating...' : 'Generate Code'}
-              </button>
+              {exceededBudgets.length > 0 && (
+                <p className="text-amber-300 text-sm mt-2">
+                  {settings.budgets.action === 'block' ? 'Generation is blocked' : 'Over budget'}: {describeExceededBudgets(exceededBudgets)}.
+                </p>
+              )}
+              <label className="mt-3 flex items-center gap-2 text-sm text-slate-400">
+                <input
+                  type="checkbox"
+                  checked={isStreamingEnabled}
+                  onChange={(e) => setIsStreamingEnabled(e.target.checked)}
+                  disabled={isLoading}
+                  className="accent-sky-500"
+                />
+                Stream response
+              </label>
+              <label className="mt-2 flex items-center gap-2 text-sm text-slate-400">
+                <input
+                  type="checkbox"
+                  checked={isMultiFileEnabled}
+                  onChange={(e) => setIsMultiFileEnabled(e.target.checked)}
+                  disabled={isLoading || !!activeChatId}
+                  className="accent-sky-500"
+                />
+                Multi-file project
+              </label>
+              <label className="mt-2 flex items-center gap-2 text-sm text-slate-400">
+                <input
+                  type="checkbox"
+                  checked={isCompareModelsEnabled}
+                  onChange={(e) => setIsCompareModelsEnabled(e.target.checked)}
+                  disabled={isLoading}
+                  className="accent-sky-500"
+                />
+                Compare models
+              </label>
+              {isCompareModelsEnabled && (
+                <CompareModelsList
+                  models={settings.compareModels}
+                  providers={settings.providers}
+                  disabled={isLoading}
+                  onChange={handleCompareModelsChange}
+                />
+              )}
+              <div className="mt-5 flex gap-2">
+                <button 
+                  id="generate-btn" 
+                  className="flex-grow bg-gradient-to-r from-sky-500 to-cyan-500 hover:from-sky-600 hover:to-cyan-600 text-white font-bold py-3 px-4 rounded-lg flex items-center justify-center transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed transform hover:-translate-y-0.5 shadow-lg shadow-sky-500/20 hover:shadow-xl hover:shadow-cyan-500/20"
+                  onClick={() => (isCompareModelsEnabled ? handleCompareClick() : handleGenerateClick())}
+                  disabled={isLoading}
+                >
+                  {isLoading ? 'Generating...' : isCompareModelsEnabled ? `Compare ${comparisonModels.length} Models` : 'Generate Code'}
+                </button>
+                {isLoading && (
+                  <button
+                    onClick={handleCancelClick}
+                    className="bg-red-500/20 hover:bg-red-500/40 text-red-300 font-bold py-3 px-4 rounded-lg transition-colors"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+              <p className="mt-2 text-xs text-slate-500" title="Estimated from the length of the system prompt, the chat so far and your prompt">
+                About {promptTokenEstimate.toLocaleString()} prompt tokens will be sent{isCompareModelsEnabled ? ` to each of ${comparisonModels.length} models` : ''}, plus up to {Number(settings.maxTokens).toLocaleString()} in the response.
+              </p>
             </div>
             
             <div className="mt-4 flex-grow flex flex-col bg-slate-800/50 rounded-lg border border-slate-700 overflow-hidden min-h-0 shadow-inner">
               <div className="flex justify-between items-center p-3 border-b border-slate-700 flex-shrink-0 bg-slate-900/50">
                 <h2 className="text-lg font-semibold">Generated Code</h2>
                 <div className="flex gap-2">
+                  <select
+                    value=""
+                    onChange={(e) => handleConvert(e.target.value)}
+                    disabled={isLoading || isPlaceholder}
+                    title="Convert this code to another framework in a new chat"
+                    className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-2 rounded-md transition-colors disabled:opacity-50"
+                  >
+                    <option value="" disabled>Convert to…</option>
+                    {Object.values(frameworks).filter(definition => definition.id !== framework).map(definition => (
+                      <option key={definition.id} value={definition.id}>{definition.label}</option>
+                    ))}
+                  </select>
+                  <button onClick={() => setIsHistoryOpen(true)} disabled={!activeChat} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors disabled:opacity-50">
+                    History
+                  </button>
                   <button onClick={handleShareClick} className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">
                     Share
                   </button>
+                  <button onClick={handleDownloadZipClick} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors">Download ZIP</button>
                   <button onClick={handleCopyClick} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors">Copy</button>
                 </div>
               </div>
-              <div className="flex-grow h-0 w-full">
-                <Editor
-                  height="100%"
-                  language={framework === 'html' ? 'html' : 'javascript'}
-                  theme="vs-dark"
-                  value={generatedCode}
-                  onMount={handleEditorDidMount}
-                  options={{ 
-                    minimap: { enabled: false }, 
-                    fontSize: 14, 
-                    wordWrap: 'on', 
-                    scrollBeyondLastLine: false,
-                    automaticLayout: true,
-                    readOnly: false,
-                    folding: false,
-                    renderValidationDecorations: 'off'
-                  }}
-                />
+              <div className="flex-grow h-0 w-full flex">
+                {projectFiles && (
+                  <FileTree paths={projectPaths} activeFile={currentFile} onSelect={handleOpenFile} />
+                )}
+                <div className="flex-grow min-w-0 flex flex-col">
+                  {projectFiles && (
+                    <div className="flex flex-shrink-0 overflow-x-auto border-b border-slate-700 bg-slate-900/30">
+                      {fileTabs.map(path => (
+                        <div
+                          key={path}
+                          className={`group flex items-center gap-1 px-3 py-1 text-xs border-r border-slate-700 cursor-pointer whitespace-nowrap ${path === currentFile ? 'bg-slate-800 text-sky-300' : 'text-slate-400 hover:bg-slate-800/60'}`}
+                          onClick={() => setActiveFile(path)}
+                        >
+                          {path.split('/').pop()}
+                          <button
+                            onClick={(e) => { e.stopPropagation(); handleCloseFile(path); }}
+                            className="text-slate-500 hover:text-red-400 opacity-0 group-hover:opacity-100"
+                          >
+                            ×
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex-grow h-0">
+                    <Editor
+                      height="100%"
+                      path={currentFile || undefined}
+                      language={projectFiles ? getFileLanguage(currentFile) : editorLanguage}
+                      theme="vs-dark"
+                      value={projectFiles ? projectFiles[currentFile] : generatedCode}
+                      onMount={handleEditorDidMount}
+                      onChange={handleEditorChange}
+                      options={{ 
+                        minimap: { enabled: false }, 
+                        fontSize: 14, 
+                        wordWrap: 'on', 
+                        scrollBeyondLastLine: false,
+                        automaticLayout: true,
+                        readOnly: isLoading,
+                        folding: false,
+                        renderValidationDecorations: 'off'
+                      }}
+                    />
+                  </div>
+                </div>
               </div>
             </div>
           </div>
           
           <div className="flex flex-col h-full min-h-0">
-            <h2 className="text-lg font-semibold mb-2 text-slate-300">Live Preview</h2>
-            <div className="flex-grow bg-white rounded-lg border border-slate-700 shadow-xl ring-1 ring-slate-800">
-              <iframe ref={iframeRef} className="w-full h-full rounded-lg" title="Live Preview"></iframe>
+            <div className="flex justify-between items-center mb-2">
+              <h2 className="text-lg font-semibold text-slate-300">{modelComparison ? 'Model Comparison' : 'Live Preview'}</h2>
+              {!modelComparison && (
+                <button
+                  onClick={handleToggleInspect}
+                  title="Click an element in the preview to refine just that part"
+                  className={`text-sm font-medium py-1 px-3 rounded-md transition-colors ${isInspecting ? 'bg-amber-500/30 text-amber-200' : 'bg-slate-700/50 hover:bg-slate-700 text-slate-300'}`}
+                >
+                  {isInspecting ? 'Inspecting…' : 'Inspect'}
+                </button>
+              )}
             </div>
+            {modelComparison ? (
+              <ModelComparisonGrid
+                comparison={modelComparison}
+                darkMode={viewport.darkMode}
+                designSystem={activeDesignSystem}
+                onPick={handlePickComparisonResult}
+                onCancel={handleCancelComparisonResult}
+                onDiscard={discardModelComparison}
+              />
+            ) : (
+              <>
+                {(conversionSource || conversions.length > 0) && (
+                  <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-slate-400">
+                    {conversionSource && (
+                      <>
+                        <span>Converted from</span>
+                        {sourceChatExists ? (
+                          <button onClick={() => handleSelectChat(conversionSource.chatId)} className="text-sky-300 hover:underline">
+                            {conversionSource.title}
+                          </button>
+                        ) : (
+                          <span className="text-slate-300">{conversionSource.title}</span>
+                        )}
+                        <span>({getFramework(conversionSource.framework).label})</span>
+                        <button
+                          onClick={() => setIsComparing(!isComparing)}
+                          className={`py-0.5 px-2 rounded-md transition-colors ${isComparing ? 'bg-sky-500/30 text-sky-200' : 'bg-slate-700/50 hover:bg-slate-700 text-slate-300'}`}
+                        >
+                          {isComparing ? 'Hide original' : 'Compare side by side'}
+                        </button>
+                      </>
+                    )}
+                    {conversions.length > 0 && (
+                      <>
+                        <span>Converted to</span>
+                        {conversions.map(chat => (
+                          <button key={chat.id} onClick={() => handleSelectChat(chat.id)} className="text-sky-300 hover:underline">
+                            {getFramework(chat.framework).label}
+                          </button>
+                        ))}
+                      </>
+                    )}
+                  </div>
+                )}
+                <PreviewToolbar viewport={viewport} onChange={handleViewportChange} />
+                <div className="flex-grow min-h-0 flex gap-3">
+                  {isComparing && conversionSource ? (
+                    <>
+                      <DeviceFrame
+                        size={getViewportSize(viewport)}
+                        zoom="fit"
+                        srcDoc={comparisonDocument}
+                        label={`Original · ${getFramework(conversionSource.framework).label}`}
+                      />
+                      <DeviceFrame
+                        size={getViewportSize(viewport)}
+                        zoom="fit"
+                        srcDoc={previewDocument}
+                        iframeRef={iframeRef}
+                        label={frameworkDefinition.label}
+                      />
+                    </>
+                  ) : viewport.multiFrame ? (
+                    MULTI_FRAME_PRESETS.map((preset, index) => (
+                      <DeviceFrame
+                        key={preset}
+                        size={getViewportSize(viewport, preset)}
+                        zoom="fit"
+                        srcDoc={previewDocument}
+                        iframeRef={index === 0 ? iframeRef : undefined}
+                        label={viewportPresets[preset].label}
+                      />
+                    ))
+                  ) : (
+                    <DeviceFrame
+                      size={getViewportSize(viewport)}
+                      zoom={viewport.zoom}
+                      srcDoc={previewDocument}
+                      iframeRef={iframeRef}
+                    />
+                  )}
+                </div>
+                {selectedElement && (
+                  <RefinePanel
+                    key={selectedElement.snippet}
+                    element={selectedElement}
+                    location={selection}
+                    isBusy={isLoading}
+                    onRefine={handleRefineSelection}
+                    onReveal={() => handleRevealLocation(selection)}
+                    onClear={handleClearSelection}
+                  />
+                )}
+                {previewDocument && (
+                  <ConsolePanel
+                    entries={consoleEntries}
+                    isBusy={isLoading}
+                    onClear={() => setConsoleEntries([])}
+                    onFix={handleFixConsoleErrors}
+                  />
+                )}
+                {previewDocument && (
+                  <AuditPanel
+                    findings={auditFindings}
+                    locations={auditLocations}
+                    isBusy={isLoading}
+                    onReveal={handleRevealLocation}
+                    onRerun={handleRerunAudit}
+                    onFix={handleFixAuditFindings}
+                  />
+                )}
+              </>
+            )}
           </div>
         </main>
         <Toast message={toastMessage} show={showToast} />
+        {isHistoryOpen && activeChat && (
+          <VersionHistoryModal
+            chat={activeChat}
+            currentCode={generatedCode}
+            language={projectFiles ? 'plaintext' : editorLanguage}
+            onOpen={handleOpenVersion}
+            onRestore={handleRestoreVersion}
+            onBranch={handleBranchChat}
+            onClose={() => setIsHistoryOpen(false)}
+          />
+        )}
+        {isShareOpen && (
+          <ShareModal
+            hasHistory={!!activeChat}
+            serviceUrl={SHARE_SERVICE_URL}
+            onCreateLink={handleCreateShareLink}
+            onClose={() => setIsShareOpen(false)}
+          />
+        )}
+        {isTemplateLibraryOpen && (
+          <TemplateLibraryModal
+            templates={templates}
+            onChange={handleTemplatesChange}
+            onUse={handleUseTemplate}
+            onClose={() => setIsTemplateLibraryOpen(false)}
+          />
+        )}
+        {pendingTemplate && (
+          <TemplateVariablesModal
+            template={pendingTemplate}
+            onSubmit={(text) => { setPendingTemplate(null); startChatWithPrompt(text); }}
+            onClose={() => setPendingTemplate(null)}
+          />
+        )}
+        {isDesignSystemsOpen && (
+          <DesignSystemModal
+            designSystems={designSystems}
+            onChange={handleDesignSystemsChange}
+            onClose={() => setIsDesignSystemsOpen(false)}
+          />
+        )}
+        {isUsageOpen && (
+          <UsageDashboardModal
+            records={usageRecords}
+            chats={chats}
+            budgets={settings.budgets}
+            onSaveBudgets={handleSaveBudgets}
+            onClear={handleClearUsage}
+            onClose={() => setIsUsageOpen(false)}
+          />
+        )}
+        {isSettingsOpen && (
+          <SettingsModal settings={settings} onSave={handleSaveSettings} onClose={() => setIsSettingsOpen(false)} />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,144 @@
+// --- Chat Completions API ---
+// Thin wrappers around an OpenAI-compatible `/chat/completions` endpoint.
+// Both return `{ content, usage, finishReason }`.
+
+import { createUnifiedDiff } from './diff';
+
+// Manual editor edits are stored as assistant versions, but the model has to
+// hear about them from the user, either as the full code or as a diff.
+function describeManualEdit(content, previousOutput, editContext) {
+  if (editContext === 'diff' && previousOutput) {
+    return `I edited your last output by hand. Apply my next request on top of these edits (unified diff against your last output):\n${createUnifiedDiff(previousOutput, content)}`;
+  }
+  return `I edited the code by hand. This is the current version; apply my next request on top of it:\n${content}`;
+}
+
+// Messages with attached images are sent as multimodal content parts.
+function toContentParts(content) {
+  return typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+}
+
+function mergeContent(first, second) {
+  if (typeof first === 'string' && typeof second === 'string') return `${first}\n\n${second}`;
+  return [...toContentParts(first), ...toContentParts(second)];
+}
+
+/**
+ * Converts chat history into API messages. History entries carry app metadata
+ * (provider, model, ...); the API only wants role and content. User messages
+ * with `images` become text and `image_url` parts. Consecutive user messages
+ * are merged so strict providers accept the conversation.
+ */
+export function toApiMessages(history, { editContext = 'full' } = {}) {
+  const messages = [];
+  let previousOutput = null;
+  for (const message of history) {
+    let { role, content } = message;
+    if (message.source === 'manual-edit') {
+      role = 'user';
+      content = describeManualEdit(content, previousOutput, editContext);
+    }
+    if (message.role === 'assistant') previousOutput = message.content;
+    if (message.images?.length) {
+      content = [
+        { type: 'text', text: content },
+        ...message.images.map(url => ({ type: 'image_url', image_url: { url } }))
+      ];
+    }
+
+    const last = messages[messages.length - 1];
+    if (last && last.role === 'user' && role === 'user') {
+      last.content = mergeContent(last.content, content);
+    } else {
+      messages.push({ role, content });
+    }
+  }
+  return messages;
+}
+
+async function postCompletion({ url, headers, payload, signal }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+    signal
+  });
+
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`API request failed with status: ${response.status}. Body: ${errText}`);
+  }
+  return response;
+}
+
+export async function fetchChatCompletion({ url, headers, payload, signal }) {
+  const response = await postCompletion({ url, headers, payload: { ...payload, stream: false }, signal });
+  const result = await response.json();
+  const choice = result.choices?.[0];
+  return {
+    content: choice?.message?.content || '',
+    usage: result.usage || null,
+    finishReason: choice?.finish_reason || null
+  };
+}
+
+/**
+ * Streams a completion over server-sent events, calling `onToken(delta, content)`
+ * for every content delta. If the request is aborted, the error thrown carries
+ * the text received so far as `err.partialContent`.
+ */
+export async function streamChatCompletion({ url, headers, payload, signal, onToken }) {
+  const response = await postCompletion({
+    url,
+    headers,
+    payload: { ...payload, stream: true, stream_options: { include_usage: true } },
+    signal
+  });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+  let finishReason = null;
+
+  const handleEvent = (data) => {
+    if (data === '[DONE]') return true;
+    const chunk = JSON.parse(data);
+    if (chunk.error) throw new Error(`API stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+    if (chunk.usage) usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    const delta = choice?.delta?.content;
+    if (delta) {
+      content += delta;
+      onToken?.(delta, content);
+    }
+    return false;
+  };
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are newline-delimited; keep the trailing partial line for the next read.
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        // Blank lines separate events and lines starting with ':' are keep-alive comments.
+        if (!trimmed.startsWith('data:')) continue;
+        if (handleEvent(trimmed.slice(5).trim())) return { content, usage, finishReason };
+      }
+    }
+  } catch (err) {
+    if (err.name === 'AbortError') err.partialContent = content;
+    throw err;
+  } finally {
+    reader.releaseLock();
+  }
+
+  return { content, usage, finishReason };
+}
@@ -0,0 +1,190 @@
+// --- Accessibility Audit ---
+// The audit runs inside the preview iframe once the rendered DOM has settled
+// and posts its findings to the app through the preview bridge. Each finding
+// carries a description of the offending element so it can be located in the
+// source.
+
+export const auditRules = {
+  'image-alt': 'Missing alt text',
+  'control-label': 'Unlabeled form control',
+  'color-contrast': 'Low colour contrast',
+  'heading-order': 'Heading order',
+  'button-name': 'Button without accessible name',
+};
+
+// Runs inside the iframe.
+const auditRuntime = String.raw`
+(function () {
+  var bridge = window.__previewBridge;
+
+  function isHidden(el) {
+    if (el.closest('[aria-hidden="true"], [hidden], #__preview-error, [data-preview-overlay]')) return true;
+    var style = getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  }
+
+  function textOf(id) {
+    var el = document.getElementById(id);
+    return el ? el.textContent.trim() : '';
+  }
+
+  function accessibleName(el) {
+    var labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      var fromIds = labelledBy.split(/\s+/).map(textOf).join(' ').trim();
+      if (fromIds) return fromIds;
+    }
+    var ariaLabel = (el.getAttribute('aria-label') || '').trim();
+    if (ariaLabel) return ariaLabel;
+    if (el.labels && el.labels.length) {
+      var fromLabels = Array.prototype.map.call(el.labels, function (label) { return label.textContent.trim(); }).join(' ').trim();
+      if (fromLabels) return fromLabels;
+    }
+    if (el.tagName === 'INPUT' && /^(submit|reset|button)$/i.test(el.type)) return (el.value || '').trim();
+    if (el.tagName === 'INPUT' && el.type === 'image') return (el.alt || '').trim();
+    if (/^(BUTTON|A)$/.test(el.tagName) || el.getAttribute('role') === 'button') {
+      var text = el.textContent.trim();
+      if (text) return text;
+      var img = el.querySelector('img[alt]:not([alt=""]), svg title');
+      if (img) return (img.getAttribute('alt') || img.textContent).trim();
+    }
+    return (el.getAttribute('title') || '').trim();
+  }
+
+  function parseColor(value) {
+    var parts = (value || '').match(/[\d.]+/g);
+    if (!parts || parts.length < 3 || !/^rgba?\(/.test(value)) return null;
+    return { r: +parts[0], g: +parts[1], b: +parts[2], a: parts.length > 3 ? +parts[3] : 1 };
+  }
+
+  function blend(top, bottom) {
+    var a = top.a + bottom.a * (1 - top.a);
+    if (!a) return { r: 255, g: 255, b: 255, a: 1 };
+    return {
+      r: (top.r * top.a + bottom.r * bottom.a * (1 - top.a)) / a,
+      g: (top.g * top.a + bottom.g * bottom.a * (1 - top.a)) / a,
+      b: (top.b * top.a + bottom.b * bottom.a * (1 - top.a)) / a,
+      a: a
+    };
+  }
+
+  // Composites background colours from the element up to the page; null when an image or gradient is involved.
+  function backgroundOf(el) {
+    var layers = [];
+    for (var node = el; node && node.nodeType === 1; node = node.parentElement) {
+      var style = getComputedStyle(node);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+      var color = parseColor(style.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+    }
+    var result = { r: 255, g: 255, b: 255, a: 1 };
+    for (var i = layers.length - 1; i >= 0; i--) result = blend(layers[i], result);
+    return result;
+  }
+
+  function luminance(c) {
+    var channel = function (v) {
+      v /= 255;
+      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+  }
+
+  function contrastRatio(fg, bg) {
+    var l1 = luminance(fg);
+    var l2 = luminance(bg);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  function runAudit() {
+    var findings = [];
+    var add = function (rule, severity, message, el) {
+      findings.push({ rule: rule, severity: severity, message: message, element: bridge.describe(el) });
+    };
+
+    document.querySelectorAll('img').forEach(function (img) {
+      if (!img.hasAttribute('alt') && !isHidden(img)) add('image-alt', 'error', 'Image has no alt attribute (use alt="" for decorative images).', img);
+    });
+
+    document.querySelectorAll('input, select, textarea').forEach(function (control) {
+      if (isHidden(control) || /^(hidden|submit|reset|button|image)$/i.test(control.type || '')) return;
+      if (!accessibleName(control)) {
+        var hint = control.getAttribute('placeholder') ? ' A placeholder is not a label.' : '';
+        add('control-label', 'error', 'Form control has no associated <label> or aria-label.' + hint, control);
+      }
+    });
+
+    document.querySelectorAll('button, [role="button"], input[type="submit"], input[type="reset"], input[type="button"], input[type="image"]').forEach(function (button) {
+      if (!isHidden(button) && !accessibleName(button)) add('button-name', 'error', 'Button has no accessible name (add text, aria-label or an image with alt).', button);
+    });
+
+    var headings = Array.prototype.filter.call(document.querySelectorAll('h1, h2, h3, h4, h5, h6'), function (h) { return !isHidden(h); });
+    var previousLevel = 0;
+    headings.forEach(function (heading) {
+      var level = +heading.tagName[1];
+      if (previousLevel && level > previousLevel + 1) {
+        add('heading-order', 'warning', 'Heading level skips from h' + previousLevel + ' to h' + level + '.', heading);
+      } else if (!previousLevel && level !== 1) {
+        add('heading-order', 'warning', 'The first heading is h' + level + '; pages should start with an h1.', heading);
+      }
+      previousLevel = level;
+    });
+
+    var checked = 0;
+    var walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    var seen = new Set();
+    for (var node = walker.nextNode(); node && checked < 400; node = walker.nextNode()) {
+      var el = node.parentElement;
+      if (!el || seen.has(el) || !node.textContent.trim() || /^(SCRIPT|STYLE|NOSCRIPT)$/.test(el.tagName) || isHidden(el)) continue;
+      seen.add(el);
+      checked++;
+      var style = getComputedStyle(el);
+      var fg = parseColor(style.color);
+      var bg = backgroundOf(el);
+      if (!fg || !bg || +style.opacity === 0) continue;
+      var ratio = contrastRatio(blend(fg, bg), bg);
+      var size = parseFloat(style.fontSize);
+      var large = size >= 24 || (size >= 18.66 && +style.fontWeight >= 700);
+      var required = large ? 3 : 4.5;
+      if (ratio < required) {
+        add('color-contrast', 'error', 'Text contrast is ' + ratio.toFixed(2) + ':1; at least ' + required + ':1 is needed.', el);
+      }
+    }
+
+    bridge.post('audit-results', { findings: findings });
+  }
+
+  // Wait for frameworks to mount and Tailwind to apply styles: run once the DOM has been quiet for a moment.
+  function runWhenSettled() {
+    var timer = null;
+    var deadline = Date.now() + 8000;
+    var observer = new MutationObserver(schedule);
+    function schedule() {
+      clearTimeout(timer);
+      timer = setTimeout(function () {
+        if (Date.now() < deadline && document.readyState !== 'complete') return schedule();
+        observer.disconnect();
+        runAudit();
+      }, Date.now() > deadline ? 0 : 800);
+    }
+    observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true });
+    schedule();
+  }
+
+  bridge.on('run-audit', runAudit);
+  if (document.readyState === 'complete') runWhenSettled();
+  else window.addEventListener('load', runWhenSettled);
+})();`;
+
+export const auditScript = `<script>${auditRuntime}</script>`;
+
+/**
+ * The follow-up prompt asking the model to fix the audit findings.
+ */
+export function buildAuditFixPrompt(findings) {
+  const lines = findings.map(finding => `- ${auditRules[finding.rule]}: ${finding.message} Element: ${finding.element.snippet}`);
+  return `An accessibility audit of the rendered page found these problems:\n${lines.join('\n')}\nFix all of them without changing the design or behaviour, and return the complete updated code.`;
+}
@@ -0,0 +1,116 @@
+// --- Chat History Helpers ---
+
+// Every assistant message is a version; its prompt is the user message that produced it.
+export function getChatVersions(chat) {
+  const versions = [];
+  chat.history.forEach((message, index) => {
+    if (message.role !== 'assistant') return;
+    const promptMessage = chat.history.slice(0, index).reverse().find(m => m.role === 'user');
+    versions.push({ index, number: versions.length + 1, message, prompt: promptMessage?.content || '', images: promptMessage?.images || [] });
+  });
+  return versions;
+}
+
+/**
+ * Records `code` as a manual-edit version at the end of the chat. Repeated
+ * edits update the same version; editing back to the last generated output
+ * removes it again.
+ */
+export function applyManualEdit(chat, code) {
+  const last = chat.history[chat.history.length - 1];
+  const isEditing = last?.source === 'manual-edit';
+  if (isEditing && last.content === code) return chat;
+
+  const history = isEditing ? chat.history.slice(0, -1) : chat.history;
+  const base = [...history].reverse().find(m => m.role === 'assistant');
+  if (!base) return chat;
+  if (base.content === code) return isEditing ? { ...chat, history } : chat;
+  return {
+    ...chat,
+    history: [...history, { role: 'assistant', content: code, source: 'manual-edit', createdAt: Date.now() }]
+  };
+}
+
+// --- Untrusted Histories ---
+// Histories from share links and import files are checked before they become
+// chats, since a malformed message would break every render of the chat.
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * The well-formed messages of `history`: a 'user' or 'assistant' role and
+ * string content. Only the fields a chat needs are kept, and only with the
+ * right type.
+ */
+export function sanitizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(message => message && (message.role === 'user' || message.role === 'assistant') && typeof message.content === 'string')
+    .map(({ role, content, images, source, createdAt, providerId, model }) => ({
+      role,
+      content,
+      ...(isStringArray(images) && images.length && { images }),
+      ...(typeof source === 'string' && { source }),
+      ...(Number.isFinite(createdAt) && { createdAt }),
+      ...(typeof providerId === 'string' && { providerId }),
+      ...(typeof model === 'string' && { model })
+    }));
+}
+
+// --- Search ---
+
+/**
+ * Whether every word of `query` appears in the chat's title, prompts or code.
+ */
+export function chatMatchesQuery(chat, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const text = [chat.title, ...chat.history.map(message => message.content)].join('\n').toLowerCase();
+  return terms.every(term => text.includes(term));
+}
+
+// --- Export / Import ---
+
+const EXPORT_FORMAT = 'ai-frontend-generator/chats';
+const EXPORT_VERSION = 1;
+
+/**
+ * A JSON document holding `chats` and the folders they are filed in.
+ */
+export function buildChatExport(chats, folders) {
+  const folderIds = new Set(chats.map(chat => chat.folderId).filter(Boolean));
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    folders: folders.filter(folder => folderIds.has(folder.id)),
+    chats
+  }, null, 2);
+}
+
+/**
+ * Parses an export file, returning `{ chats, folders }`. Also accepts a bare
+ * array of chats, as older versions stored them. Throws a user-facing error
+ * for anything else.
+ */
+export function parseChatImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (Array.isArray(data)) data = { chats: data, folders: [] };
+  if (!data || (data.format && data.format !== EXPORT_FORMAT) || !Array.isArray(data.chats)) {
+    throw new Error('The file is not a chat export.');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of the app.');
+  }
+  const chats = data.chats
+    .filter(chat => chat && typeof chat.id === 'string' && Array.isArray(chat.history))
+    .map(chat => ({ ...chat, title: typeof chat.title === 'string' ? chat.title : 'Imported chat', history: sanitizeHistory(chat.history) }));
+  const folders = (Array.isArray(data.folders) ? data.folders : [])
+    .filter(folder => folder && typeof folder.id === 'string' && typeof folder.name === 'string' && folder.name);
+  return { chats, folders };
+}
@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { auditRules } from '../audit';
+
+
+// Lists the accessibility findings reported by the preview, each linking to the
+// source line it was traced back to.
+function AuditPanel({ findings, locations, isBusy, onReveal, onRerun, onFix }) {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const errorCount = findings ? findings.filter(finding => finding.severity === 'error').length : 0;
+  const warningCount = findings ? findings.length - errorCount : 0;
+
+  const summary = !findings
+    ? 'Auditing…'
+    : findings.length === 0
+      ? 'No issues found'
+      : `${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`;
+
+  return (
+    <div className="mt-3 flex-shrink-0 bg-slate-800/50 rounded-lg border border-slate-700">
+      <div className="flex items-center justify-between p-2 px-3">
+        <button onClick={() => setIsExpanded(!isExpanded)} className="flex items-center gap-2 text-sm font-semibold text-slate-300">
+          <span className="text-slate-500">{isExpanded ? '▾' : '▸'}</span>
+          Accessibility Audit
+          <span className={`text-xs font-normal ${findings && findings.length ? 'text-amber-300' : 'text-slate-400'}`}>{summary}</span>
+        </button>
+        <div className="flex gap-2">
+          <button onClick={onRerun} disabled={isBusy} className="bg-slate-700 hover:bg-slate-600 text-xs font-medium py-1 px-2 rounded-md transition-colors disabled:opacity-50">
+            Re-run
+          </button>
+          <button onClick={onFix} disabled={isBusy || !findings || findings.length === 0} className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-xs font-medium py-1 px-2 rounded-md transition-colors disabled:opacity-50">
+            Fix with AI
+          </button>
+        </div>
+      </div>
+      {isExpanded && findings && findings.length > 0 && (
+        <ul className="max-h-48 overflow-y-auto border-t border-slate-700 divide-y divide-slate-700/60">
+          {findings.map((finding, index) => (
+            <li key={index} className="flex items-start gap-2 px-3 py-2 text-sm">
+              <span className={`mt-0.5 text-xs font-bold uppercase ${finding.severity === 'error' ? 'text-red-400' : 'text-amber-300'}`}>
+                {finding.severity === 'error' ? 'Error' : 'Warn'}
+              </span>
+              <div className="flex-grow min-w-0">
+                <div className="text-slate-300">
+                  <span className="font-medium">{auditRules[finding.rule]}:</span> {finding.message}
+                </div>
+                <code className="block text-xs text-slate-500 truncate" title={finding.element.snippet}>{finding.element.snippet}</code>
+              </div>
+              {locations[index] && (
+                <button
+                  onClick={() => onReveal(locations[index])}
+                  className="flex-shrink-0 text-xs text-sky-400 hover:text-sky-300 hover:underline whitespace-nowrap"
+                >
+                  {locations[index].path ? `${locations[index].path}:` : 'Line '}{locations[index].line}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+
+export default AuditPanel;
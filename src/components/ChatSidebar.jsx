@@ -0,0 +1,220 @@
+import { useState, useRef } from 'react';
+import { chatMatchesQuery } from '../chats';
+
+
+const TrashIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>
+);
+
+// Text input that commits on Enter or blur and cancels on Escape.
+function InlineInput({ initialValue, placeholder, onCommit, onCancel }) {
+  const [value, setValue] = useState(initialValue);
+  const doneRef = useRef(false);
+  // Enter and the blur that follows it must only finish the edit once.
+  const finish = (action) => {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    action();
+  };
+  const commit = () => finish(() => (value.trim() ? onCommit(value.trim()) : onCancel()));
+  return (
+    <input
+      autoFocus
+      value={value}
+      placeholder={placeholder}
+      onChange={(e) => setValue(e.target.value)}
+      onClick={(e) => e.stopPropagation()}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') finish(onCancel);
+      }}
+      className="w-full min-w-0 bg-slate-800 text-sm rounded p-1 border border-sky-500/50 focus:outline-none"
+    />
+  );
+}
+
+function ChatMenu({ chat, folders, onRename, onUpdate, onExport, onDelete, onClose }) {
+  const itemClassName = "block w-full text-left px-3 py-1.5 text-sm text-slate-300 hover:bg-slate-700";
+  const act = (action) => (e) => { e.stopPropagation(); onClose(); action(); };
+  return (
+    <>
+      <div className="fixed inset-0 z-20" onClick={(e) => { e.stopPropagation(); onClose(); }}></div>
+      <div className="absolute right-0 top-full z-30 mt-1 w-44 rounded-md border border-slate-700 bg-slate-800 py-1 shadow-xl">
+        <button onClick={act(onRename)} className={itemClassName}>Rename</button>
+        <button onClick={act(() => onUpdate({ pinned: !chat.pinned }))} className={itemClassName}>{chat.pinned ? 'Unpin' : 'Pin'}</button>
+        {folders.length > 0 && (
+          <>
+            <div className="px-3 pt-2 pb-1 text-xs uppercase text-slate-500">Move to</div>
+            {chat.folderId && <button onClick={act(() => onUpdate({ folderId: null }))} className={itemClassName}>No folder</button>}
+            {folders.filter(folder => folder.id !== chat.folderId).map(folder => (
+              <button key={folder.id} onClick={act(() => onUpdate({ folderId: folder.id }))} className={`${itemClassName} truncate`}>{folder.name}</button>
+            ))}
+            <div className="my-1 border-t border-slate-700"></div>
+          </>
+        )}
+        <button onClick={act(onExport)} className={itemClassName}>Export</button>
+        <button onClick={act(onDelete)} className={`${itemClassName} text-red-400`}>Delete</button>
+      </div>
+    </>
+  );
+}
+
+
+// The chat library: search, pinned chats, folders and import/export.
+function ChatSidebar({ isOpen, chats, folders, activeChatId, onNewChat, onSelectChat, onDeleteChat, onUpdateChat, onCreateFolder, onRenameFolder, onDeleteFolder, onExport, onImport }) {
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [menuChatId, setMenuChatId] = useState(null);
+  const [collapsedFolders, setCollapsedFolders] = useState([]);
+  const importInputRef = useRef(null);
+
+  const visibleChats = chats.filter(chat => chatMatchesQuery(chat, query));
+  const folderIds = new Set(folders.map(folder => folder.id));
+  const pinnedChats = visibleChats.filter(chat => chat.pinned);
+  const unfiledChats = visibleChats.filter(chat => !chat.pinned && !folderIds.has(chat.folderId));
+  const chatsInFolder = (folderId) => visibleChats.filter(chat => !chat.pinned && chat.folderId === folderId);
+
+  const toggleFolder = (folderId) => setCollapsedFolders(prev => prev.includes(folderId) ? prev.filter(id => id !== folderId) : [...prev, folderId]);
+  const isEditing = (type, id) => editing && editing.type === type && editing.id === id;
+
+  const renderChat = (chat) => (
+    <li
+      key={chat.id}
+      className={`group relative flex items-center justify-between gap-1 rounded-md p-2 my-1 cursor-pointer ${activeChatId === chat.id ? 'bg-sky-500/20' : 'hover:bg-slate-800'}`}
+      onClick={() => onSelectChat(chat.id)}
+    >
+      {isEditing('chat', chat.id) ? (
+        <InlineInput
+          initialValue={chat.title}
+          onCommit={(title) => { onUpdateChat(chat.id, { title }); setEditing(null); }}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <span className="truncate text-sm" onDoubleClick={() => setEditing({ type: 'chat', id: chat.id })} title={chat.title}>
+          {chat.pinned && <span className="text-amber-300 mr-1">★</span>}
+          {chat.title}
+        </span>
+      )}
+      <div className="flex items-center flex-shrink-0">
+        <button
+          onClick={(e) => { e.stopPropagation(); setMenuChatId(chat.id); }}
+          className="text-slate-500 hover:text-slate-200 opacity-0 group-hover:opacity-100 transition-opacity px-1"
+          aria-label="Chat actions"
+        >
+          ⋯
+        </button>
+        <button onClick={(e) => { e.stopPropagation(); onDeleteChat(chat.id); }} className="text-slate-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity" aria-label="Delete chat">
+          <TrashIcon />
+        </button>
+      </div>
+      {menuChatId === chat.id && (
+        <ChatMenu
+          chat={chat}
+          folders={folders}
+          onRename={() => setEditing({ type: 'chat', id: chat.id })}
+          onUpdate={(changes) => onUpdateChat(chat.id, changes)}
+          onExport={() => onExport([chat.id])}
+          onDelete={() => onDeleteChat(chat.id)}
+          onClose={() => setMenuChatId(null)}
+        />
+      )}
+    </li>
+  );
+
+  const toolbarButtonClassName = "text-xs text-slate-400 hover:text-sky-300 transition-colors";
+
+  return (
+    <aside className={`bg-slate-900/70 backdrop-blur-sm border-r border-slate-800 flex flex-col transition-all duration-300 ${isOpen ? 'w-64' : 'w-0'} overflow-hidden`}>
+      <div className="flex justify-between items-center p-4 border-b border-slate-800 flex-shrink-0">
+        <h2 className="text-lg font-bold">Chat History</h2>
+        <button onClick={onNewChat} className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-full transition-colors">
+          + New
+        </button>
+      </div>
+      <div className="p-2 border-b border-slate-800 flex-shrink-0">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search prompts and code..."
+          aria-label="Search chats"
+          className="w-full bg-slate-800 text-sm rounded-md p-1.5 border border-slate-700 focus:ring-1 focus:ring-sky-500"
+        />
+        <div className="flex justify-between mt-2 px-1">
+          <button onClick={() => setEditing({ type: 'new-folder', id: null })} className={toolbarButtonClassName}>+ Folder</button>
+          <button onClick={() => importInputRef.current.click()} className={toolbarButtonClassName}>Import</button>
+          <button onClick={() => onExport(null)} disabled={chats.length === 0} className={`${toolbarButtonClassName} disabled:opacity-50`}>Export All</button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => { if (e.target.files[0]) onImport(e.target.files[0]); e.target.value = ''; }}
+          />
+        </div>
+      </div>
+      <nav className="flex-grow overflow-y-auto p-2">
+        {editing?.type === 'new-folder' && (
+          <div className="p-1">
+            <InlineInput
+              initialValue=""
+              placeholder="Folder name"
+              onCommit={(name) => { onCreateFolder(name); setEditing(null); }}
+              onCancel={() => setEditing(null)}
+            />
+          </div>
+        )}
+
+        {pinnedChats.length > 0 && (
+          <>
+            <h3 className="px-2 pt-2 text-xs uppercase tracking-wide text-slate-500">Pinned</h3>
+            <ul>{pinnedChats.map(renderChat)}</ul>
+          </>
+        )}
+
+        {folders.map(folder => {
+          const folderChats = chatsInFolder(folder.id);
+          if (query && folderChats.length === 0) return null;
+          const isCollapsed = collapsedFolders.includes(folder.id) && !query;
+          return (
+            <div key={folder.id} className="mt-1">
+              <div className="group flex items-center justify-between rounded-md px-2 py-1 hover:bg-slate-800/60 cursor-pointer" onClick={() => toggleFolder(folder.id)}>
+                {isEditing('folder', folder.id) ? (
+                  <InlineInput
+                    initialValue={folder.name}
+                    onCommit={(name) => { onRenameFolder(folder.id, name); setEditing(null); }}
+                    onCancel={() => setEditing(null)}
+                  />
+                ) : (
+                  <span className="truncate text-sm font-medium text-slate-300">
+                    <span className="text-slate-500 mr-1">{isCollapsed ? '▸' : '▾'}</span>
+                    {folder.name}
+                    <span className="ml-1 text-xs text-slate-500">{folderChats.length}</span>
+                  </span>
+                )}
+                <div className="flex items-center gap-1 flex-shrink-0 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button onClick={(e) => { e.stopPropagation(); setEditing({ type: 'folder', id: folder.id }); }} className="text-xs text-slate-500 hover:text-slate-200" aria-label="Rename folder">✎</button>
+                  <button onClick={(e) => { e.stopPropagation(); onDeleteFolder(folder.id); }} className="text-slate-500 hover:text-red-400" aria-label="Delete folder"><TrashIcon /></button>
+                </div>
+              </div>
+              {!isCollapsed && <ul className="pl-3">{folderChats.map(renderChat)}</ul>}
+            </div>
+          );
+        })}
+
+        {(pinnedChats.length > 0 || folders.length > 0) && unfiledChats.length > 0 && (
+          <h3 className="px-2 pt-3 text-xs uppercase tracking-wide text-slate-500">Chats</h3>
+        )}
+        <ul>{unfiledChats.map(renderChat)}</ul>
+
+        {query && visibleChats.length === 0 && (
+          <p className="p-2 text-sm text-slate-500">No chats match "{query}".</p>
+        )}
+      </nav>
+    </aside>
+  );
+}
+
+
+export default ChatSidebar;
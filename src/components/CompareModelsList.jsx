@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { providerPresets, getProviderName } from '../providers';
+
+
+// The models compare mode runs alongside the chat's own model.
+function CompareModelsList({ models, providers, disabled, onChange }) {
+  const [providerId, setProviderId] = useState(Object.keys(providerPresets)[0]);
+  const [model, setModel] = useState(providers[providerId]?.model || '');
+
+  const handleProviderChange = (nextProviderId) => {
+    setProviderId(nextProviderId);
+    setModel(providers[nextProviderId]?.model || '');
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = model.trim();
+    if (!name || models.some(entry => entry.providerId === providerId && entry.model === name)) return;
+    onChange([...models, { providerId, model: name }]);
+  };
+
+  const inputClassName = "bg-slate-700/50 text-slate-300 text-sm rounded-md p-1 border border-slate-700 focus:ring-1 focus:ring-sky-500";
+
+  return (
+    <div className="mt-2 ml-6 space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {models.map((entry, index) => (
+          <span key={`${entry.providerId}\n${entry.model}`} className="flex items-center gap-1 bg-slate-700/50 text-slate-300 text-xs py-1 pl-2 pr-1 rounded-full">
+            {getProviderName(entry.providerId)} · {entry.model}
+            <button
+              onClick={() => onChange(models.filter((_, i) => i !== index))}
+              disabled={disabled}
+              className="px-1 text-slate-400 hover:text-red-400"
+              aria-label={`Remove ${entry.model}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {models.length === 0 && <span className="text-xs text-slate-500">Add the models to compare the chat's model with.</span>}
+      </div>
+      <form onSubmit={handleAdd} className="flex items-center gap-2">
+        <select value={providerId} onChange={(e) => handleProviderChange(e.target.value)} disabled={disabled} className={inputClassName}>
+          {Object.entries(providerPresets).map(([id, preset]) => (
+            <option key={id} value={id}>{preset.name}</option>
+          ))}
+        </select>
+        <input
+          value={model}
+          onChange={(e) => setModel(e.target.value)}
+          disabled={disabled}
+          placeholder="model-name"
+          className={`flex-grow min-w-0 ${inputClassName}`}
+        />
+        <button type="submit" disabled={disabled || !model.trim()} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors disabled:opacity-50">
+          Add
+        </button>
+      </form>
+    </div>
+  );
+}
+
+
+export default CompareModelsList;
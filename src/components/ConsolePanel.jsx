@@ -0,0 +1,88 @@
+import { useState } from 'react';
+
+
+const filters = {
+  all: { label: 'All', matches: () => true },
+  error: { label: 'Errors', matches: entry => entry.level === 'error' },
+  warn: { label: 'Warnings', matches: entry => entry.level === 'warn' },
+  network: { label: 'Network', matches: entry => entry.kind === 'network' },
+};
+
+const levelStyles = {
+  error: 'bg-red-500/10 text-red-300',
+  warn: 'bg-amber-500/10 text-amber-200',
+  info: 'text-sky-300',
+  debug: 'text-slate-500',
+  log: 'text-slate-300',
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+
+// Lists the console output, errors and network requests reported by the preview.
+function ConsolePanel({ entries, isBusy, onClear, onFix }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [filter, setFilter] = useState('all');
+  const errorCount = entries.filter(filters.error.matches).length;
+  const warningCount = entries.filter(filters.warn.matches).length;
+  const visibleEntries = entries.filter(filters[filter].matches);
+
+  const summary = entries.length === 0
+    ? 'No messages'
+    : errorCount || warningCount
+      ? [errorCount && plural(errorCount, 'error'), warningCount && plural(warningCount, 'warning')].filter(Boolean).join(', ')
+      : plural(entries.length, 'message');
+
+  return (
+    <div className="mt-3 flex-shrink-0 bg-slate-800/50 rounded-lg border border-slate-700">
+      <div className="flex items-center justify-between p-2 px-3">
+        <button onClick={() => setIsExpanded(!isExpanded)} className="flex items-center gap-2 text-sm font-semibold text-slate-300">
+          <span className="text-slate-500">{isExpanded ? '▾' : '▸'}</span>
+          Console
+          <span className={`text-xs font-normal ${errorCount ? 'text-red-400' : warningCount ? 'text-amber-300' : 'text-slate-400'}`}>{summary}</span>
+        </button>
+        <div className="flex gap-2">
+          <button onClick={onClear} disabled={entries.length === 0} className="bg-slate-700 hover:bg-slate-600 text-xs font-medium py-1 px-2 rounded-md transition-colors disabled:opacity-50">
+            Clear
+          </button>
+          <button onClick={onFix} disabled={isBusy || errorCount === 0} className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-xs font-medium py-1 px-2 rounded-md transition-colors disabled:opacity-50">
+            Send errors to AI
+          </button>
+        </div>
+      </div>
+      {isExpanded && (
+        <div className="border-t border-slate-700">
+          <div className="flex gap-1 px-3 py-1 border-b border-slate-700/60">
+            {Object.entries(filters).map(([id, { label }]) => (
+              <button
+                key={id}
+                onClick={() => setFilter(id)}
+                className={`text-xs py-0.5 px-2 rounded-md transition-colors ${filter === id ? 'bg-slate-700 text-slate-200' : 'text-slate-400 hover:text-slate-200'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {visibleEntries.length > 0 ? (
+            <ul className="max-h-48 overflow-y-auto divide-y divide-slate-700/60 font-mono text-xs">
+              {visibleEntries.map((entry, index) => (
+                <li key={index} className={`flex items-start gap-2 px-3 py-1 ${levelStyles[entry.level] || levelStyles.log}`}>
+                  {entry.kind === 'network' && <span className="flex-shrink-0 font-sans font-bold uppercase text-slate-500">Net</span>}
+                  <pre className="flex-grow min-w-0 whitespace-pre-wrap break-words">{entry.text}</pre>
+                  {entry.count > 1 && (
+                    <span className="flex-shrink-0 font-sans bg-slate-700 text-slate-300 rounded-full px-1.5">{entry.count}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="px-3 py-2 text-xs text-slate-500">Nothing to show.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+export default ConsolePanel;
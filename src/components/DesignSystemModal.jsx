@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { createDesignSystem, parseTailwindConfig } from '../designSystems';
+
+
+const fields = [
+  { key: 'colors', label: 'Brand Colours', placeholder: 'Primary #4F46E5 (brand-500), accent #F59E0B, neutrals slate', rows: 2 },
+  { key: 'fonts', label: 'Fonts', placeholder: 'Headings: "Poppins" semibold; body: "Inter" regular', rows: 2 },
+  { key: 'spacing', label: 'Spacing', placeholder: '8px grid; sections py-16; cards p-6 with rounded-2xl', rows: 2 },
+  { key: 'conventions', label: 'Component Conventions', placeholder: 'Primary buttons are pill-shaped with bg-brand-500; inputs have a 1px slate-300 border...', rows: 3 },
+];
+
+function DesignSystemModal({ designSystems, onChange, onClose }) {
+  const [selectedId, setSelectedId] = useState(designSystems[0]?.id ?? null);
+  const [draft, setDraft] = useState(designSystems[0] ?? null);
+  const [error, setError] = useState(null);
+
+  const select = (designSystem) => {
+    setSelectedId(designSystem.id);
+    setDraft(designSystem);
+    setError(null);
+  };
+
+  const handleNew = () => {
+    const designSystem = createDesignSystem();
+    setSelectedId(designSystem.id);
+    setDraft(designSystem);
+    setError(null);
+  };
+
+  const handleSave = () => {
+    try {
+      parseTailwindConfig(draft.tailwindConfig);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    const saved = { ...draft, name: draft.name.trim() || 'Untitled' };
+    const exists = designSystems.some(d => d.id === saved.id);
+    onChange(exists ? designSystems.map(d => d.id === saved.id ? saved : d) : [...designSystems, saved]);
+    setDraft(saved);
+    setError(null);
+  };
+
+  const handleDelete = () => {
+    const remaining = designSystems.filter(d => d.id !== selectedId);
+    onChange(remaining);
+    setSelectedId(remaining[0]?.id ?? null);
+    setDraft(remaining[0] ?? null);
+  };
+
+  const inputClassName = "w-full p-2 bg-slate-800 border border-slate-700 rounded-md text-sm focus:ring-2 focus:ring-sky-500/50";
+  const isSaved = draft && designSystems.some(d => d.id === draft.id);
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-6" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-4xl h-full max-h-[85vh] bg-slate-900 border border-slate-700 rounded-lg shadow-xl flex flex-col overflow-hidden"
+      >
+        <div className="flex justify-between items-center p-3 border-b border-slate-700 flex-shrink-0">
+          <h2 className="text-lg font-bold">Design Systems</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white text-xl leading-none px-2">×</button>
+        </div>
+
+        <div className="flex flex-grow min-h-0">
+          <div className="w-56 flex-shrink-0 border-r border-slate-700 flex flex-col">
+            <ul className="flex-grow overflow-y-auto p-2">
+              {designSystems.map(designSystem => (
+                <li
+                  key={designSystem.id}
+                  onClick={() => select(designSystem)}
+                  className={`rounded-md p-2 my-1 cursor-pointer text-sm truncate ${designSystem.id === selectedId ? 'bg-sky-500/20' : 'hover:bg-slate-800'}`}
+                >
+                  {designSystem.name}
+                </li>
+              ))}
+            </ul>
+            <div className="p-2 border-t border-slate-700">
+              <button onClick={handleNew} className="w-full bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">+ New Design System</button>
+            </div>
+          </div>
+
+          <div className="flex-grow min-w-0 overflow-y-auto p-4 space-y-3">
+            {draft ? (
+              <>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">Name</label>
+                  <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={inputClassName} />
+                </div>
+                {fields.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm text-slate-400 mb-1">{field.label}</label>
+                    <textarea rows={field.rows} value={draft[field.key]} placeholder={field.placeholder} onChange={(e) => setDraft({ ...draft, [field.key]: e.target.value })} className={inputClassName} />
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">Font Stylesheet URL (optional)</label>
+                  <input value={draft.fontStylesheetUrl} placeholder="https://fonts.googleapis.com/css2?family=Inter:wght@400;600&display=swap" onChange={(e) => setDraft({ ...draft, fontStylesheetUrl: e.target.value.trim() })} className={inputClassName} />
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">Tailwind Config (JSON)</label>
+                  <textarea rows="10" spellCheck="false" value={draft.tailwindConfig} onChange={(e) => setDraft({ ...draft, tailwindConfig: e.target.value })} className={`${inputClassName} font-mono text-xs`} />
+                  <p className="text-xs text-slate-500 mt-1">Applied to the preview and to exported projects, e.g. <code>{'{ "theme": { "extend": { "colors": { "brand": { "500": "#4F46E5" } } } } }'}</code>.</p>
+                </div>
+                {error && <p className="text-red-400 text-sm">{error}</p>}
+                <div className="flex justify-end gap-2">
+                  {isSaved && (
+                    <button onClick={handleDelete} className="bg-red-500/20 hover:bg-red-500/40 text-red-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">Delete</button>
+                  )}
+                  <button onClick={handleSave} className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">Save</button>
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-slate-400">Create a design system to give every generation your brand's colours, fonts and Tailwind theme.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+export default DesignSystemModal;
@@ -0,0 +1,65 @@
+import { useState, useRef, useEffect } from 'react';
+import { PREVIEW_SANDBOX } from '../preview';
+
+
+// Renders the preview iframe at a fixed device size, scaled to the zoom level
+// ('fit' shrinks it to the available space), or filling the panel when `size` is null.
+// `label` names the frame when several are shown side by side.
+function DeviceFrame({ size, zoom, srcDoc, iframeRef, label }) {
+  const containerRef = useRef(null);
+  const [available, setAvailable] = useState({ width: 0, height: 0 });
+  const isFixedSize = !!size;
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setAvailable({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [isFixedSize]);
+
+  if (!size) {
+    const frame = (
+      <div ref={containerRef} className="flex-grow min-w-0 min-h-0 bg-white rounded-lg border border-slate-700 shadow-xl ring-1 ring-slate-800">
+        <iframe ref={iframeRef} srcDoc={srcDoc} sandbox={PREVIEW_SANDBOX} className="w-full h-full rounded-lg" title={label ? `Live Preview (${label})` : 'Live Preview'}></iframe>
+      </div>
+    );
+    if (!label) return frame;
+    return (
+      <div className="flex-grow min-w-0 flex flex-col">
+        <div className="text-xs text-slate-400 mb-1 text-center flex-shrink-0">{label}</div>
+        {frame}
+      </div>
+    );
+  }
+
+  const fitScale = available.width && available.height
+    ? Math.min(1, available.width / size.width, available.height / size.height)
+    : 1;
+  const scale = zoom === 'fit' ? fitScale : zoom;
+
+  return (
+    <div className="flex-grow min-w-0 flex flex-col">
+      <div className="text-xs text-slate-400 mb-1 text-center flex-shrink-0">
+        {label ? `${label} · ` : ''}{size.width} × {size.height} · {Math.round(scale * 100)}%
+      </div>
+      <div ref={containerRef} className="flex-grow min-h-0 overflow-auto">
+        <div className="mx-auto" style={{ width: size.width * scale, height: size.height * scale }}>
+          <iframe
+            ref={iframeRef}
+            srcDoc={srcDoc}
+            sandbox={PREVIEW_SANDBOX}
+            title={label ? `Live Preview (${label})` : 'Live Preview'}
+            className="bg-white rounded-lg border border-slate-700 shadow-xl origin-top-left"
+            style={{ width: size.width, height: size.height, transform: `scale(${scale})` }}
+          ></iframe>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+export default DeviceFrame;
@@ -0,0 +1,55 @@
+// Groups flat `dir/sub/file.ext` paths into a nested tree, directories first.
+function buildTree(paths) {
+  const root = { dirs: {}, files: [] };
+  for (const path of paths) {
+    const parts = path.split('/');
+    let node = root;
+    for (const dir of parts.slice(0, -1)) {
+      node.dirs[dir] = node.dirs[dir] || { dirs: {}, files: [] };
+      node = node.dirs[dir];
+    }
+    node.files.push({ name: parts[parts.length - 1], path });
+  }
+  return root;
+}
+
+
+function TreeNode({ node, depth, activeFile, onSelect }) {
+  const indent = { paddingLeft: `${depth * 0.75 + 0.5}rem` };
+  return (
+    <>
+      {Object.entries(node.dirs).sort(([a], [b]) => a.localeCompare(b)).map(([name, child]) => (
+        <li key={`dir:${name}`}>
+          <div style={indent} className="py-1 text-xs text-slate-500 truncate">{name}/</div>
+          <ul><TreeNode node={child} depth={depth + 1} activeFile={activeFile} onSelect={onSelect} /></ul>
+        </li>
+      ))}
+      {node.files.map(file => (
+        <li key={file.path}>
+          <button
+            style={indent}
+            onClick={() => onSelect(file.path)}
+            title={file.path}
+            className={`w-full text-left py-1 pr-2 text-xs truncate transition-colors ${activeFile === file.path ? 'bg-sky-500/20 text-sky-300' : 'text-slate-300 hover:bg-slate-800'}`}
+          >
+            {file.name}
+          </button>
+        </li>
+      ))}
+    </>
+  );
+}
+
+
+function FileTree({ paths, activeFile, onSelect }) {
+  return (
+    <nav className="w-40 flex-shrink-0 overflow-y-auto border-r border-slate-700 bg-slate-900/30 py-1">
+      <ul>
+        <TreeNode node={buildTree(paths)} depth={0} activeFile={activeFile} onSelect={onSelect} />
+      </ul>
+    </nav>
+  );
+}
+
+
+export default FileTree;
@@ -0,0 +1,100 @@
+import { useMemo } from 'react';
+import { buildPreviewDocument } from '../preview';
+import { getProviderName } from '../providers';
+import { formatCost } from '../usage';
+import DeviceFrame from './DeviceFrame';
+
+
+const statusStyles = {
+  running: 'text-sky-300',
+  done: 'text-slate-400',
+  cancelled: 'text-amber-300',
+  error: 'text-red-400',
+};
+
+function ComparisonCard({ result, framework, darkMode, designSystem, onPick, onCancel }) {
+  const previewDocument = useMemo(
+    () => buildPreviewDocument(result.code, framework, { darkMode, designSystem }),
+    [result.code, framework, darkMode, designSystem]
+  );
+  const { stats } = result;
+
+  return (
+    <div className="flex flex-col min-h-0 h-80 bg-slate-800/50 rounded-lg border border-slate-700 p-2">
+      <div className="flex items-start justify-between gap-2 mb-2 flex-shrink-0">
+        <div className="min-w-0">
+          <div className="text-sm font-semibold text-slate-200 truncate" title={result.model}>{result.model}</div>
+          <div className="text-xs text-slate-400">{getProviderName(result.providerId)}</div>
+        </div>
+        {result.status === 'running' ? (
+          <button onClick={onCancel} className="bg-red-500/20 hover:bg-red-500/40 text-red-300 text-xs font-medium py-1 px-2 rounded-md transition-colors">
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={onPick}
+            disabled={!result.code}
+            className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-xs font-medium py-1 px-2 rounded-md transition-colors disabled:opacity-50"
+          >
+            Use this
+          </button>
+        )}
+      </div>
+      {stats && (
+        <div className="text-xs text-slate-400 mb-1 flex-shrink-0" title={stats.estimated ? 'Some tokens are estimated from the length of the text' : undefined}>
+          {stats.estimated ? '~' : ''}{stats.totalTokens.toLocaleString()} tokens · <span className="text-green-400">{formatCost(stats.cost)}</span> · {(stats.latencyMs / 1000).toFixed(1)} s
+          {stats.repairAttempts > 0 && ` · ${stats.repairAttempts} repair(s)`}
+        </div>
+      )}
+      {(result.message || result.errors?.length > 0) && (
+        <div className={`text-xs mb-1 flex-shrink-0 truncate ${result.errors?.length ? 'text-amber-300' : statusStyles[result.status]}`} title={result.errors?.join('\n') || result.message}>
+          {result.errors?.length ? `May be broken: ${result.errors[0]}` : result.message}
+        </div>
+      )}
+      <div className="flex-grow min-h-0 flex">
+        {previewDocument ? (
+          <DeviceFrame srcDoc={previewDocument} />
+        ) : (
+          <div className="flex-grow flex items-center justify-center rounded-lg border border-dashed border-slate-700 text-xs text-slate-500">
+            {result.status === 'running' ? 'Generating...' : 'No preview'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+
+// The outputs of one prompt sent to several models, each with its usage and a preview.
+function ModelComparisonGrid({ comparison, darkMode, designSystem, onPick, onCancel, onDiscard }) {
+  const isRunning = comparison.results.some(result => result.status === 'running');
+
+  return (
+    <div className="flex-grow min-h-0 flex flex-col">
+      <div className="flex items-center justify-between mb-2 flex-shrink-0">
+        <p className="text-sm text-slate-400">
+          {isRunning ? 'Comparing models...' : 'Pick the version to continue the chat with.'}
+        </p>
+        <button onClick={onDiscard} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors">
+          Discard all
+        </button>
+      </div>
+      <div className="flex-grow min-h-0 overflow-y-auto grid grid-cols-1 xl:grid-cols-2 gap-3 content-start">
+        {comparison.results.map(result => (
+          <ComparisonCard
+            key={result.id}
+            result={result}
+            framework={comparison.framework}
+            darkMode={darkMode}
+            designSystem={designSystem}
+            onPick={() => onPick(result)}
+            onCancel={() => onCancel(result.id)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+
+export default ModelComparisonGrid;
@@ -0,0 +1,75 @@
+import { viewportPresets, ZOOM_LEVELS } from '../viewports';
+
+
+function PreviewToolbar({ viewport, onChange }) {
+  const update = (changes) => onChange({ ...viewport, ...changes });
+  const isFixedSize = viewport.preset !== 'responsive' || viewport.multiFrame;
+
+  const selectClassName = "bg-slate-700/50 text-slate-300 text-sm rounded-md p-1 border border-slate-700 focus:ring-1 focus:ring-sky-500";
+  const toggleClassName = (active) => `text-sm font-medium py-1 px-2 rounded-md transition-colors ${active ? 'bg-sky-500/30 text-sky-200' : 'bg-slate-700/50 hover:bg-slate-700 text-slate-300'}`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-2 flex-shrink-0">
+      <div className="flex rounded-md overflow-hidden border border-slate-700">
+        {Object.entries(viewportPresets).map(([id, preset]) => (
+          <button
+            key={id}
+            onClick={() => update({ preset: id, multiFrame: false })}
+            className={`text-xs font-medium py-1 px-2 transition-colors ${!viewport.multiFrame && viewport.preset === id ? 'bg-sky-500/30 text-sky-200' : 'bg-slate-800 hover:bg-slate-700 text-slate-300'}`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {viewport.preset === 'custom' && !viewport.multiFrame && (
+        <div className="flex items-center gap-1 text-sm text-slate-400">
+          <input
+            type="number"
+            min="200"
+            max="3840"
+            value={viewport.customWidth}
+            onChange={(e) => update({ customWidth: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            className={`${selectClassName} w-20`}
+            aria-label="Custom width"
+          />
+          ×
+          <input
+            type="number"
+            min="200"
+            max="3840"
+            value={viewport.customHeight}
+            onChange={(e) => update({ customHeight: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            className={`${selectClassName} w-20`}
+            aria-label="Custom height"
+          />
+        </div>
+      )}
+
+      <select
+        value={String(viewport.zoom)}
+        onChange={(e) => update({ zoom: e.target.value === 'fit' ? 'fit' : Number(e.target.value) })}
+        disabled={!isFixedSize}
+        className={`${selectClassName} disabled:opacity-50`}
+        aria-label="Zoom"
+      >
+        {ZOOM_LEVELS.map(level => (
+          <option key={level} value={String(level)}>{level === 'fit' ? 'Fit' : `${level * 100}%`}</option>
+        ))}
+      </select>
+
+      <button onClick={() => update({ rotated: !viewport.rotated })} disabled={!isFixedSize} className={`${toggleClassName(viewport.rotated)} disabled:opacity-50`} title="Rotate">
+        ⟳ Rotate
+      </button>
+      <button onClick={() => update({ multiFrame: !viewport.multiFrame })} className={toggleClassName(viewport.multiFrame)} title="Show phone, tablet and desktop side by side">
+        ▣ All Sizes
+      </button>
+      <button onClick={() => update({ darkMode: !viewport.darkMode })} className={toggleClassName(viewport.darkMode)} title="Toggle the dark class on the preview's root element">
+        {viewport.darkMode ? '☾ Dark' : '☀ Light'}
+      </button>
+    </div>
+  );
+}
+
+
+export default PreviewToolbar;
@@ -0,0 +1,52 @@
+import { useState } from 'react';
+
+
+// Shows the element picked in inspect mode and takes the change to make to it.
+function RefinePanel({ element, location, isBusy, onRefine, onReveal, onClear }) {
+  const [instruction, setInstruction] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (instruction.trim()) onRefine(instruction.trim());
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 flex-shrink-0 bg-slate-800/50 rounded-lg border border-amber-500/40 p-2 px-3 space-y-2">
+      <div className="flex items-center gap-2 text-sm">
+        <span className="font-semibold text-amber-300 flex-shrink-0">Selected</span>
+        <code className="flex-grow min-w-0 text-xs text-slate-400 truncate" title={element.snippet}>{element.snippet}</code>
+        {location ? (
+          <button
+            type="button"
+            onClick={onReveal}
+            className="flex-shrink-0 text-xs text-sky-400 hover:text-sky-300 hover:underline whitespace-nowrap"
+          >
+            {location.path ? `${location.path}:` : 'Lines '}{location.line}–{location.endLine}
+          </button>
+        ) : (
+          <span className="flex-shrink-0 text-xs text-red-400">Not found in the source</span>
+        )}
+        <button type="button" onClick={onClear} className="text-slate-400 hover:text-white leading-none px-1" aria-label="Clear selection">×</button>
+      </div>
+      <div className="flex gap-2">
+        <input
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          placeholder="Change only this element, e.g. 'make it a two-column grid'"
+          disabled={!location}
+          className="flex-grow p-1.5 bg-slate-800 border border-slate-700 rounded-md text-sm focus:ring-2 focus:ring-sky-500/50 disabled:opacity-50"
+        />
+        <button
+          type="submit"
+          disabled={isBusy || !location || !instruction.trim()}
+          className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors disabled:opacity-50"
+        >
+          Refine
+        </button>
+      </div>
+    </form>
+  );
+}
+
+
+export default RefinePanel;
@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import { providerPresets } from '../providers';
+
+
+function SettingsModal({ settings, onSave, onClose }) {
+  const [draft, setDraft] = useState(settings);
+  const [selectedProviderId, setSelectedProviderId] = useState(settings.providerId);
+
+  const providerConfig = draft.providers[selectedProviderId];
+  const preset = providerPresets[selectedProviderId];
+
+  const updateProvider = (field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      providers: {
+        ...prev.providers,
+        [selectedProviderId]: { ...prev.providers[selectedProviderId], [field]: value }
+      }
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...draft,
+      providerId: selectedProviderId,
+      maxTokens: Math.max(1, parseInt(draft.maxTokens, 10) || 2000),
+      maxRepairAttempts: Math.max(0, parseInt(draft.maxRepairAttempts, 10) || 0),
+      maxContinuations: Math.max(0, parseInt(draft.maxContinuations, 10) || 0),
+      contextWindow: Math.max(1024, parseInt(draft.contextWindow, 10) || 8192)
+    });
+  };
+
+  const inputClassName = "w-full p-2 bg-slate-800 border border-slate-700 rounded-md text-sm focus:ring-2 focus:ring-sky-500/50";
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60" onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-lg bg-slate-900 border border-slate-700 rounded-lg shadow-xl p-6 space-y-4"
+      >
+        <h2 className="text-lg font-bold">Settings</h2>
+
+        <div className="flex gap-2 flex-wrap">
+          {Object.entries(providerPresets).map(([id, p]) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => setSelectedProviderId(id)}
+              className={`text-sm font-medium py-1 px-3 rounded-full transition-colors ${selectedProviderId === id ? 'bg-sky-500/40 text-sky-200' : 'bg-slate-700/50 hover:bg-slate-700 text-slate-300'}`}
+            >
+              {p.name}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-slate-500">The selected provider is used for new chats. Each chat remembers its own provider and model.</p>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">Base URL</label>
+          <input
+            className={inputClassName}
+            value={providerConfig.baseUrl}
+            onChange={(e) => updateProvider('baseUrl', e.target.value)}
+            placeholder="http://localhost:8080/v1"
+          />
+          <p className="text-xs text-slate-500 mt-1">Any OpenAI-compatible endpoint; requests go to <code>{'{base URL}'}/chat/completions</code>.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">API Key {preset.requiresKey ? '' : '(optional)'}</label>
+          <input
+            type="password"
+            className={inputClassName}
+            value={providerConfig.apiKey}
+            onChange={(e) => updateProvider('apiKey', e.target.value)}
+            placeholder={selectedProviderId === 'openrouter' && import.meta.env.VITE_OPENROUTER_API_KEY ? 'Using the key configured at build time' : 'sk-...'}
+            autoComplete="off"
+          />
+          <p className="text-xs text-slate-500 mt-1">Stored in this browser's local storage only.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">Default Model</label>
+          <input
+            className={inputClassName}
+            value={providerConfig.model}
+            onChange={(e) => updateProvider('model', e.target.value)}
+            placeholder={preset.defaultModel || 'model-name'}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">Max Tokens</label>
+          <input
+            type="number"
+            min="1"
+            className={inputClassName}
+            value={draft.maxTokens}
+            onChange={(e) => setDraft(prev => ({ ...prev, maxTokens: e.target.value }))}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">Automatic Repair Attempts</label>
+          <input
+            type="number"
+            min="0"
+            max="5"
+            className={inputClassName}
+            value={draft.maxRepairAttempts}
+            onChange={(e) => setDraft(prev => ({ ...prev, maxRepairAttempts: e.target.value }))}
+          />
+          <p className="text-xs text-slate-500 mt-1">When the output fails validation, ask the model to fix it up to this many times (0 to disable).</p>
+        </div>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">Automatic Continuations</label>
+          <input
+            type="number"
+            min="0"
+            max="5"
+            className={inputClassName}
+            value={draft.maxContinuations}
+            onChange={(e) => setDraft(prev => ({ ...prev, maxContinuations: e.target.value }))}
+          />
+          <p className="text-xs text-slate-500 mt-1">When a response is cut off by Max Tokens, ask for the rest up to this many times and join the pieces (0 to disable).</p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm text-slate-400 mb-1">Chat History</label>
+            <select
+              className={inputClassName}
+              value={draft.contextMode}
+              onChange={(e) => setDraft(prev => ({ ...prev, contextMode: e.target.value }))}
+            >
+              <option value="compact">Latest code and recent turns</option>
+              <option value="full">Everything</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-1">Context Window (tokens)</label>
+            <input
+              type="number"
+              min="1024"
+              step="1024"
+              className={inputClassName}
+              value={draft.contextWindow}
+              onChange={(e) => setDraft(prev => ({ ...prev, contextWindow: e.target.value }))}
+            />
+          </div>
+          <p className="col-span-2 text-xs text-slate-500">What each request sends of the chat so far. Compacting keeps only the latest code, summarises older requests and drops turns until the request and Max Tokens fit the model's context window.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">Send Manual Edits As</label>
+          <select
+            className={inputClassName}
+            value={draft.editContext}
+            onChange={(e) => setDraft(prev => ({ ...prev, editContext: e.target.value }))}
+          >
+            <option value="full">Full current code</option>
+            <option value="diff">Diff against the last output</option>
+          </select>
+          <p className="text-xs text-slate-500 mt-1">How code you changed in the editor is described to the model in the next request.</p>
+        </div>
+
+        <div className="flex justify-end gap-2 pt-2">
+          <button type="button" onClick={onClose} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors">Cancel</button>
+          <button type="submit" className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">Save</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+
+export default SettingsModal;
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+
+
+// Links longer than this may be cut off by chat apps and some browsers.
+const LONG_URL_LENGTH = 8000;
+
+function ShareModal({ hasHistory, serviceUrl, onCreateLink, onClose }) {
+  const [includeHistory, setIncludeHistory] = useState(false);
+  const [useShortLink, setUseShortLink] = useState(!!serviceUrl);
+  const [link, setLink] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    setError(null);
+    setIsCopied(false);
+    try {
+      const url = await onCreateLink({ includeHistory, useShortLink });
+      setLink(url);
+      await navigator.clipboard.writeText(url);
+      setIsCopied(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  // A new link is needed once the options change.
+  const changeOption = (setter) => (e) => {
+    setter(e.target.checked);
+    setLink('');
+    setIsCopied(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-lg bg-slate-900 border border-slate-700 rounded-lg shadow-xl p-5 space-y-4"
+      >
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-bold">Share</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white text-xl leading-none px-2">×</button>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-slate-300">
+          <input type="checkbox" checked={includeHistory} onChange={changeOption(setIncludeHistory)} disabled={!hasHistory} className="accent-sky-500" />
+          Include the prompt history
+        </label>
+        <label className="flex items-center gap-2 text-sm text-slate-300">
+          <input type="checkbox" checked={useShortLink} onChange={changeOption(setUseShortLink)} disabled={!serviceUrl} className="accent-sky-500" />
+          Short link
+          <span className="text-xs text-slate-500 truncate">{serviceUrl ? `via ${serviceUrl}` : '(set VITE_SHARE_SERVICE_URL to enable)'}</span>
+        </label>
+        {!useShortLink && includeHistory && (
+          <p className="text-xs text-slate-500">Attached images are left out of links that carry the page in the URL.</p>
+        )}
+
+        {link && (
+          <div>
+            <input readOnly value={link} onFocus={(e) => e.target.select()} className="w-full p-2 bg-slate-800 border border-slate-700 rounded-md text-xs text-slate-300" />
+            {isCopied && <p className="text-xs text-green-400 mt-1">Copied to clipboard!</p>}
+            {link.length > LONG_URL_LENGTH && (
+              <p className="text-xs text-amber-300 mt-1">This link is {link.length.toLocaleString()} characters long and may get cut off. A short link avoids that.</p>
+            )}
+          </div>
+        )}
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors">Close</button>
+          <button onClick={handleCreate} disabled={isCreating} className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors disabled:opacity-50">
+            {isCreating ? 'Creating...' : 'Create & Copy Link'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+export default ShareModal;
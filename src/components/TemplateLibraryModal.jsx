@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { builtInTemplates, getTemplateVariables, parseTags } from '../templates';
+
+
+// Browse, search and edit the template library. Built-in examples are read-only
+// but can be duplicated into the team's own templates.
+function TemplateLibraryModal({ templates, onChange, onUse, onClose }) {
+  const allTemplates = [...builtInTemplates, ...templates];
+  const [query, setQuery] = useState('');
+  const [activeTag, setActiveTag] = useState(null);
+  const [selectedId, setSelectedId] = useState(allTemplates[0]?.id ?? null);
+  const [draft, setDraft] = useState(null);
+
+  const tags = [...new Set(allTemplates.flatMap(template => template.tags || []))].sort();
+  const visibleTemplates = allTemplates.filter(template =>
+    (!activeTag || template.tags?.includes(activeTag)) &&
+    `${template.title}\n${template.prompt}`.toLowerCase().includes(query.toLowerCase())
+  );
+  const selected = allTemplates.find(template => template.id === selectedId) || null;
+
+  const startEditing = (template) => setDraft({ ...template, tagsText: (template.tags || []).join(', ') });
+
+  const handleNew = () => startEditing({ id: uuidv4(), title: '', prompt: '', tags: [] });
+
+  const handleDuplicate = (template) => startEditing({ ...template, id: uuidv4(), builtIn: false, title: `${template.title} (copy)` });
+
+  const handleSave = () => {
+    const { tagsText, ...template } = draft;
+    const saved = { ...template, builtIn: false, title: template.title.trim() || 'Untitled', tags: parseTags(tagsText) };
+    const exists = templates.some(t => t.id === saved.id);
+    onChange(exists ? templates.map(t => t.id === saved.id ? saved : t) : [...templates, saved]);
+    setSelectedId(saved.id);
+    setDraft(null);
+  };
+
+  const handleDelete = (template) => {
+    onChange(templates.filter(t => t.id !== template.id));
+    setSelectedId(null);
+  };
+
+  const inputClassName = "w-full p-2 bg-slate-800 border border-slate-700 rounded-md text-sm focus:ring-2 focus:ring-sky-500/50";
+  const buttonClassName = "bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors disabled:opacity-50";
+  const primaryButtonClassName = "bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors disabled:opacity-50";
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-6" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-4xl h-full max-h-[80vh] bg-slate-900 border border-slate-700 rounded-lg shadow-xl flex flex-col overflow-hidden"
+      >
+        <div className="flex justify-between items-center p-3 border-b border-slate-700 flex-shrink-0">
+          <h2 className="text-lg font-bold">Prompt Templates</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white text-xl leading-none px-2">×</button>
+        </div>
+
+        <div className="flex flex-grow min-h-0">
+          <div className="w-72 flex-shrink-0 border-r border-slate-700 flex flex-col">
+            <div className="p-2 space-y-2 border-b border-slate-700">
+              <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search templates..." aria-label="Search templates" className={inputClassName} />
+              <div className="flex flex-wrap gap-1">
+                {tags.map(tag => (
+                  <button
+                    key={tag}
+                    onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+                    className={`text-xs py-0.5 px-2 rounded-full ${activeTag === tag ? 'bg-sky-500/30 text-sky-200' : 'bg-slate-800 text-slate-400 hover:bg-slate-700'}`}
+                  >
+                    #{tag}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <ul className="flex-grow overflow-y-auto p-2">
+              {visibleTemplates.map(template => (
+                <li
+                  key={template.id}
+                  onClick={() => { setSelectedId(template.id); setDraft(null); }}
+                  className={`rounded-md p-2 my-1 cursor-pointer ${template.id === selectedId && !draft ? 'bg-sky-500/20' : 'hover:bg-slate-800'}`}
+                >
+                  <div className="flex justify-between gap-2 text-sm">
+                    <span className="truncate text-slate-200">{template.title}</span>
+                    {template.builtIn && <span className="text-xs text-slate-500 flex-shrink-0">built-in</span>}
+                  </div>
+                  <p className="text-xs text-slate-500 truncate">{template.prompt}</p>
+                </li>
+              ))}
+            </ul>
+            <div className="p-2 border-t border-slate-700">
+              <button onClick={handleNew} className={`${primaryButtonClassName} w-full`}>+ New Template</button>
+            </div>
+          </div>
+
+          <div className="flex-grow min-w-0 overflow-y-auto p-4">
+            {draft ? (
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">Title</label>
+                  <input value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} className={inputClassName} />
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">Prompt</label>
+                  <textarea rows="8" value={draft.prompt} onChange={(e) => setDraft({ ...draft, prompt: e.target.value })} className={inputClassName} />
+                  <p className="text-xs text-slate-500 mt-1">
+                    Use <code>{'{{variable}}'}</code> or <code>{'{{variable|default}}'}</code> for values filled in before use.
+                    {getTemplateVariables(draft.prompt).length > 0 && ` Variables: ${getTemplateVariables(draft.prompt).map(v => v.name).join(', ')}.`}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-400 mb-1">Tags (comma-separated)</label>
+                  <input value={draft.tagsText} onChange={(e) => setDraft({ ...draft, tagsText: e.target.value })} placeholder="forms, dashboard" className={inputClassName} />
+                </div>
+                <div className="flex justify-end gap-2">
+                  <button onClick={() => setDraft(null)} className={buttonClassName}>Cancel</button>
+                  <button onClick={handleSave} disabled={!draft.prompt.trim()} className={primaryButtonClassName}>Save Template</button>
+                </div>
+              </div>
+            ) : selected ? (
+              <div className="space-y-3">
+                <h3 className="text-lg font-semibold">{selected.title}</h3>
+                {selected.tags?.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {selected.tags.map(tag => <span key={tag} className="text-xs py-0.5 px-2 rounded-full bg-slate-800 text-slate-400">#{tag}</span>)}
+                  </div>
+                )}
+                <p className="text-sm text-slate-300 whitespace-pre-wrap bg-slate-800/50 border border-slate-700 rounded-md p-3">{selected.prompt}</p>
+                <div className="flex gap-2">
+                  <button onClick={() => onUse(selected)} className={primaryButtonClassName}>Use Template</button>
+                  {selected.builtIn ? (
+                    <button onClick={() => handleDuplicate(selected)} className={buttonClassName}>Duplicate</button>
+                  ) : (
+                    <>
+                      <button onClick={() => startEditing(selected)} className={buttonClassName}>Edit</button>
+                      <button onClick={() => handleDuplicate(selected)} className={buttonClassName}>Duplicate</button>
+                      <button onClick={() => handleDelete(selected)} className="bg-red-500/20 hover:bg-red-500/40 text-red-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">Delete</button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-slate-400">Select a template, or create a new one.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+export default TemplateLibraryModal;
@@ -0,0 +1,49 @@
+import { useState } from 'react';
+import { getTemplateVariables, fillTemplate } from '../templates';
+
+
+// The small form that fills in a template's `{{variables}}`.
+function TemplateVariablesModal({ template, onSubmit, onClose }) {
+  const variables = getTemplateVariables(template.prompt);
+  const [values, setValues] = useState(() => Object.fromEntries(variables.map(v => [v.name, v.defaultValue])));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(fillTemplate(template.prompt, values));
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60" onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-md bg-slate-900 border border-slate-700 rounded-lg shadow-xl p-5 space-y-4"
+      >
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-bold">{template.title}</h2>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-white text-xl leading-none px-2">×</button>
+        </div>
+        {variables.map((variable, index) => (
+          <div key={variable.name}>
+            <label htmlFor={`template-variable-${index}`} className="block text-sm text-slate-400 mb-1 capitalize">{variable.name}</label>
+            <input
+              id={`template-variable-${index}`}
+              autoFocus={index === 0}
+              value={values[variable.name]}
+              onChange={(e) => setValues(prev => ({ ...prev, [variable.name]: e.target.value }))}
+              className="w-full p-2 bg-slate-800 border border-slate-700 rounded-md text-sm focus:ring-2 focus:ring-sky-500/50"
+            />
+          </div>
+        ))}
+        <p className="text-xs text-slate-500 whitespace-pre-wrap">{fillTemplate(template.prompt, values)}</p>
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors">Cancel</button>
+          <button type="submit" className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">Use Prompt</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+
+export default TemplateVariablesModal;
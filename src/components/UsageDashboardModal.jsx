@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import { getProviderName } from '../providers';
+import { budgetTypes, dayKey, formatCost, summarizeUsage, totalUsage } from '../usage';
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const groupings = {
+  day: { label: 'By day', heading: 'Day' },
+  chat: { label: 'By chat', heading: 'Chat' },
+  model: { label: 'By model', heading: 'Model' },
+};
+
+// Budget inputs hold strings while editing; empty means no budget.
+const toDraft = (budgets) => Object.fromEntries(Object.entries(budgets).map(([id, value]) => [id, value ?? '']));
+
+function TotalCard({ label, totals }) {
+  return (
+    <div className="flex-1 bg-slate-800/50 border border-slate-700 rounded-lg p-3">
+      <div className="text-xs text-slate-400">{label}</div>
+      <div className="text-lg font-semibold text-green-400">{formatCost(totals.cost)}</div>
+      <div className="text-xs text-slate-400">{totals.totalTokens.toLocaleString()} tokens · {totals.requests} requests</div>
+    </div>
+  );
+}
+
+
+// Usage totals by day, chat and model, and the budgets that limit generation.
+function UsageDashboardModal({ records, chats, budgets, onSaveBudgets, onClear, onClose }) {
+  const [grouping, setGrouping] = useState('day');
+  const [draft, setDraft] = useState(() => toDraft(budgets));
+
+  const now = Date.now();
+  const chatTitles = new Map(chats.map(chat => [chat.id, chat.title]));
+  const keyOf = {
+    day: record => dayKey(record.createdAt),
+    chat: record => record.chatId || '',
+    model: record => `${record.providerId}\n${record.model}`,
+  }[grouping];
+  const labelOf = {
+    day: key => key,
+    chat: key => (key ? chatTitles.get(key) || 'Deleted chat' : 'No chat'),
+    model: key => `${getProviderName(key.split('\n')[0])} · ${key.split('\n')[1]}`,
+  }[grouping];
+  const rows = summarizeUsage(records, keyOf);
+  if (grouping === 'day') rows.sort((a, b) => b.key.localeCompare(a.key));
+
+  const handleSaveBudgets = (e) => {
+    e.preventDefault();
+    const next = { action: draft.action };
+    for (const id of Object.keys(budgetTypes)) {
+      const value = parseFloat(draft[id]);
+      next[id] = Number.isFinite(value) && value > 0 ? value : null;
+    }
+    onSaveBudgets(next);
+  };
+
+  const inputClassName = "w-full p-1 bg-slate-800 border border-slate-700 rounded-md text-sm focus:ring-2 focus:ring-sky-500/50";
+  const cellClassName = "px-3 py-1.5 text-right tabular-nums";
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-6" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-5xl h-full max-h-[85vh] bg-slate-900 border border-slate-700 rounded-lg shadow-xl flex flex-col overflow-hidden"
+      >
+        <div className="flex justify-between items-center p-3 border-b border-slate-700 flex-shrink-0">
+          <h2 className="text-lg font-bold">Usage</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white text-xl leading-none px-2">×</button>
+        </div>
+
+        <div className="flex-grow min-h-0 overflow-y-auto p-4 space-y-4">
+          <div className="flex gap-3">
+            <TotalCard label="Today" totals={totalUsage(records.filter(record => dayKey(record.createdAt) === dayKey(now)))} />
+            <TotalCard label="Last 30 days" totals={totalUsage(records.filter(record => record.createdAt > now - 30 * DAY_MS))} />
+            <TotalCard label="All time" totals={totalUsage(records)} />
+          </div>
+
+          <form onSubmit={handleSaveBudgets} className="bg-slate-800/50 border border-slate-700 rounded-lg p-3 space-y-2">
+            <h3 className="text-sm font-semibold text-slate-300">Budgets</h3>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+              {Object.entries(budgetTypes).map(([id, type]) => (
+                <label key={id} className="block text-xs text-slate-400">
+                  {type.label} {type.unit === 'cost' ? '($)' : ''}
+                  <input
+                    type="number"
+                    min="0"
+                    step={type.unit === 'cost' ? '0.01' : '1000'}
+                    className={inputClassName}
+                    value={draft[id]}
+                    onChange={(e) => setDraft(prev => ({ ...prev, [id]: e.target.value }))}
+                    placeholder="No limit"
+                  />
+                </label>
+              ))}
+              <label className="block text-xs text-slate-400">
+                When exceeded
+                <select
+                  className={inputClassName}
+                  value={draft.action}
+                  onChange={(e) => setDraft(prev => ({ ...prev, action: e.target.value }))}
+                >
+                  <option value="warn">Warn</option>
+                  <option value="block">Block generation</option>
+                </select>
+              </label>
+            </div>
+            <div className="flex justify-between items-center">
+              <p className="text-xs text-slate-500">Costs are as reported by the provider; local models report none, so use a token budget for them.</p>
+              <button type="submit" className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">Save Budgets</button>
+            </div>
+          </form>
+
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <div className="flex gap-2">
+                {Object.entries(groupings).map(([id, { label }]) => (
+                  <button
+                    key={id}
+                    onClick={() => setGrouping(id)}
+                    className={`text-sm font-medium py-1 px-3 rounded-full transition-colors ${grouping === id ? 'bg-sky-500/40 text-sky-200' : 'bg-slate-700/50 hover:bg-slate-700 text-slate-300'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => { if (window.confirm('Delete the whole usage history?')) onClear(); }}
+                disabled={records.length === 0}
+                className="text-xs text-slate-400 hover:text-red-400 disabled:opacity-50"
+              >
+                Clear history
+              </button>
+            </div>
+            {rows.length === 0 ? (
+              <p className="text-sm text-slate-400">No requests recorded yet.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="text-xs text-slate-400 border-b border-slate-700">
+                  <tr>
+                    <th className="px-3 py-1.5 text-left font-medium">{groupings[grouping].heading}</th>
+                    <th className={`${cellClassName} font-medium`}>Requests</th>
+                    <th className={`${cellClassName} font-medium`}>Prompt tokens</th>
+                    <th className={`${cellClassName} font-medium`}>Completion tokens</th>
+                    <th className={`${cellClassName} font-medium`}>Cost</th>
+                    <th className={`${cellClassName} font-medium`}>Avg. latency</th>
+                    <th className={`${cellClassName} font-medium`}>Retries</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-800">
+                  {rows.map(row => (
+                    <tr key={row.key} className="hover:bg-slate-800/50">
+                      <td className="px-3 py-1.5 truncate max-w-xs" title={labelOf(row.key)}>{labelOf(row.key)}</td>
+                      <td className={cellClassName}>{row.requests}</td>
+                      <td className={cellClassName}>{row.promptTokens.toLocaleString()}</td>
+                      <td className={cellClassName}>{row.completionTokens.toLocaleString()}</td>
+                      <td className={`${cellClassName} text-green-400`}>{formatCost(row.cost)}</td>
+                      <td className={cellClassName}>{(row.latencyMs / 1000).toFixed(1)} s</td>
+                      <td className={cellClassName}>{row.retries}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {records.some(record => record.estimated) && (
+              <p className="text-xs text-slate-500 mt-2">Requests the provider reported no usage for (and cancelled ones) are counted from an estimate of their length.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+export default UsageDashboardModal;
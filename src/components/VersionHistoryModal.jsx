@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { getProviderName } from '../providers';
+import { getChatVersions } from '../chats';
+
+
+function VersionHistoryModal({ chat, currentCode, language, onOpen, onRestore, onBranch, onClose }) {
+  const versions = getChatVersions(chat);
+  const [selectedNumber, setSelectedNumber] = useState(versions.length);
+  const [compareWith, setCompareWith] = useState('previous');
+
+  const selected = versions[selectedNumber - 1];
+  const previous = versions[selectedNumber - 2];
+  const original = compareWith === 'previous' ? (previous?.message.content ?? '') : currentCode;
+
+  const buttonClassName = "bg-slate-700 hover:bg-slate-600 text-sm font-medium py-1 px-3 rounded-md transition-colors disabled:opacity-50";
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-6" onClick={onClose}>
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-6xl h-full max-h-[85vh] bg-slate-900 border border-slate-700 rounded-lg shadow-xl flex flex-col overflow-hidden"
+      >
+        <div className="flex justify-between items-center p-3 border-b border-slate-700 flex-shrink-0">
+          <h2 className="text-lg font-bold">Version History — {chat.title}</h2>
+          <button onClick={onClose} className="text-slate-400 hover:text-white text-xl leading-none px-2">×</button>
+        </div>
+
+        {versions.length === 0 ? (
+          <p className="p-6 text-slate-400 text-sm">This chat has no generated versions yet.</p>
+        ) : (
+          <div className="flex flex-grow min-h-0">
+            <ol className="w-64 flex-shrink-0 overflow-y-auto border-r border-slate-700 p-2">
+              {versions.map(version => (
+                <li
+                  key={version.index}
+                  onClick={() => setSelectedNumber(version.number)}
+                  className={`rounded-md p-2 my-1 cursor-pointer ${version.number === selectedNumber ? 'bg-sky-500/20' : 'hover:bg-slate-800'}`}
+                >
+                  <div className="flex justify-between text-xs text-slate-400">
+                    <span className="font-semibold text-slate-200">v{version.number}</span>
+                    {version.message.createdAt && <span>{new Date(version.message.createdAt).toLocaleString()}</span>}
+                  </div>
+                  {version.message.source === 'manual-edit' ? (
+                    <p className="text-sm italic text-amber-300">Manual edit</p>
+                  ) : (
+                    <p className="text-sm truncate" title={version.prompt}>{version.prompt}</p>
+                  )}
+                  {version.images.length > 0 && (
+                    <div className="flex gap-1 mt-1">
+                      {version.images.map((image, i) => (
+                        <img key={i} src={image} alt={`Attachment ${i + 1}`} className="h-8 w-12 object-cover rounded border border-slate-700" />
+                      ))}
+                    </div>
+                  )}
+                  {version.message.model && (
+                    <p className="text-xs text-slate-500 truncate">{getProviderName(version.message.providerId)} · {version.message.model}</p>
+                  )}
+                </li>
+              ))}
+            </ol>
+
+            <div className="flex-grow min-w-0 flex flex-col">
+              <div className="flex flex-wrap items-center justify-between gap-2 p-2 border-b border-slate-700 flex-shrink-0 text-sm">
+                <div className="flex items-center gap-2 text-slate-400">
+                  <span>Compare v{selectedNumber} with</span>
+                  <select
+                    value={compareWith}
+                    onChange={(e) => setCompareWith(e.target.value)}
+                    className="bg-slate-700/50 text-slate-300 text-sm rounded-md p-1 border border-slate-700 focus:ring-1 focus:ring-sky-500"
+                  >
+                    <option value="previous">{previous ? `previous (v${previous.number})` : 'previous (none)'}</option>
+                    <option value="current">current editor</option>
+                  </select>
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => onOpen(selected)} className={buttonClassName}>Open in Editor</button>
+                  <button onClick={() => onRestore(selected)} disabled={selected.number === versions.length} className={buttonClassName}>Restore</button>
+                  <button onClick={() => onBranch(selected)} className="bg-sky-500/20 hover:bg-sky-500/40 text-sky-300 text-sm font-medium py-1 px-3 rounded-md transition-colors">Branch Chat</button>
+                </div>
+              </div>
+              <div className="flex-grow h-0">
+                <DiffEditor
+                  height="100%"
+                  language={language}
+                  theme="vs-dark"
+                  original={original}
+                  modified={selected.message.content}
+                  options={{
+                    readOnly: true,
+                    renderSideBySide: true,
+                    minimap: { enabled: false },
+                    fontSize: 13,
+                    wordWrap: 'on',
+                    scrollBeyondLastLine: false,
+                    automaticLayout: true
+                  }}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+
+export default VersionHistoryModal;
@@ -0,0 +1,102 @@
+// --- Context Management ---
+// Keeps long chats inside the model's context window. Only the latest code
+// version is sent verbatim: older outputs are replaced by a placeholder, and
+// requests before the most recent few are folded into a summary list, fewer
+// turns being kept until the estimate fits. Responses cut off by the output
+// limit are continued and stitched back together (see App.jsx).
+
+import { toApiMessages } from './api';
+import { stripReasoning } from './output';
+import { estimateTokens } from './usage';
+
+// User requests kept word for word, before any are summarised.
+const RECENT_TURNS = 3;
+const MAX_SUMMARY_REQUEST_LENGTH = 200;
+const OMITTED_CODE = '[An earlier version of the code, left out to save space. The latest version is further down.]';
+
+const findLastIndex = (messages, predicate, before = messages.length) => {
+  for (let i = before - 1; i >= 0; i--) if (predicate(messages[i])) return i;
+  return -1;
+};
+
+const isVersion = (message) => message.role === 'assistant';
+
+function summarizeRequest(message) {
+  const text = message.content.replace(/\s+/g, ' ').trim();
+  const images = message.images?.length ? ` [${message.images.length} image(s) attached]` : '';
+  return (text.length > MAX_SUMMARY_REQUEST_LENGTH ? `${text.slice(0, MAX_SUMMARY_REQUEST_LENGTH)}…` : text) + images;
+}
+
+/**
+ * Shortens chat `history` (ending with the new request) to the last
+ * `recentTurns` earlier requests, a summary of the ones before them, and the
+ * latest code version. In 'diff' edit mode, a trailing manual edit also keeps
+ * the output it is diffed against.
+ */
+export function compactHistory(history, { recentTurns = RECENT_TURNS, editContext = 'full' } = {}) {
+  const requestIndexes = history.flatMap((message, index) => (message.role === 'user' ? [index] : []));
+  const keepFrom = requestIndexes.length > recentTurns ? requestIndexes[requestIndexes.length - 1 - recentTurns] : 0;
+
+  const kept = new Set();
+  const latest = findLastIndex(history, isVersion);
+  if (latest !== -1) {
+    kept.add(latest);
+    if (editContext === 'diff' && history[latest].source === 'manual-edit') kept.add(findLastIndex(history, isVersion, latest));
+  }
+
+  const summary = history.slice(0, keepFrom).filter(message => message.role === 'user').map(summarizeRequest);
+  const compacted = summary.length
+    ? [{ role: 'user', content: `Earlier requests in this chat, already applied to the code:\n${summary.map((text, i) => `${i + 1}. ${text}`).join('\n')}` }]
+    : [];
+  history.forEach((message, index) => {
+    if (kept.has(index)) compacted.push(message);
+    else if (index < keepFrom) return;
+    else if (!isVersion(message)) compacted.push(message);
+    // Older manual edits are dropped; older outputs keep their place in the conversation.
+    else if (message.source !== 'manual-edit') compacted.push({ role: 'assistant', content: OMITTED_CODE });
+  });
+  return compacted;
+}
+
+/**
+ * The API messages for `history` (ending with the new request) after
+ * `systemPrompt`. In 'compact' mode the history is compacted so that the
+ * estimate leaves `maxTokens` of `contextWindow` for the response, as far as
+ * dropping turns allows; 'full' sends everything.
+ */
+export function buildContextMessages(systemPrompt, history, { mode = 'compact', editContext = 'full', contextWindow, maxTokens }) {
+  const toMessages = (turns) => [{ role: 'system', content: systemPrompt }, ...toApiMessages(turns, { editContext })];
+  if (mode === 'full') return toMessages(history);
+  let messages;
+  for (let recentTurns = RECENT_TURNS; recentTurns >= 0; recentTurns--) {
+    messages = toMessages(compactHistory(history, { recentTurns, editContext }));
+    if (estimateTokens(messages) + maxTokens <= contextWindow) break;
+  }
+  return messages;
+}
+
+// --- Continuations ---
+export const CONTINUE_PROMPT = 'Your response was cut off by the length limit. Continue exactly where it stopped: reply with only the rest, starting from the next character, without repeating anything and without explanations or a new code fence.';
+
+// Repeated text is only dropped when it is this long and starts a line, as
+// markup repeats itself often enough for short matches to be real code.
+const MAX_OVERLAP = 500;
+const MIN_OVERLAP = 20;
+
+/**
+ * Joins a continuation onto the text before it, dropping reasoning, a code
+ * fence the model reopened and any text it repeated from the end of `previous`.
+ */
+export function stitchContinuation(previous, continuation) {
+  if (!previous) return continuation;
+  const withoutReasoning = stripReasoning(continuation);
+  // Whitespace where the pieces meet matters, so the raw text is kept unless reasoning was removed.
+  let next = withoutReasoning === continuation.trim() ? continuation : withoutReasoning;
+  const isInsideFence = (previous.match(/```/g) || []).length % 2 === 1;
+  if (isInsideFence) next = next.replace(/^\s*```[^\n]*\n/, '');
+  for (let length = Math.min(MAX_OVERLAP, previous.length, next.length); length >= MIN_OVERLAP; length--) {
+    const start = previous.length - length;
+    if ((start === 0 || previous[start - 1] === '\n') && previous.endsWith(next.slice(0, length))) return previous + next.slice(length);
+  }
+  return previous + next;
+}
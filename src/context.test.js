@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import { toApiMessages } from './api';
+import { buildContextMessages, compactHistory, stitchContinuation } from './context';
+import { estimateTokens } from './usage';
+
+// A chat of `turns` requests, each answered with a new version of the code.
+const chat = (turns) => Array.from({ length: turns }, (_, i) => [
+  { role: 'user', content: `Request ${i + 1}` },
+  { role: 'assistant', content: `<p>Version ${i + 1}</p>` }
+]).flat();
+
+describe('stitchContinuation', () => {
+  it('appends a continuation that repeats nothing', () => {
+    expect(stitchContinuation('<div>\n  <p>Hi', '</p>\n</div>')).toBe('<div>\n  <p>Hi</p>\n</div>');
+  });
+
+  it('drops the lines the continuation repeated', () => {
+    const previous = '<ul>\n  <li>First item in the list</li>\n  <li>Second item in the list</li>\n  <li>Th';
+    const continuation = '  <li>Second item in the list</li>\n  <li>Third item</li>\n</ul>';
+    expect(stitchContinuation(previous, continuation))
+      .toBe('<ul>\n  <li>First item in the list</li>\n  <li>Second item in the list</li>\n  <li>Third item</li>\n</ul>');
+  });
+
+  it('keeps short repeats, which markup has on purpose', () => {
+    expect(stitchContinuation('<p>One</p>\n<p>', '<p>Two</p>')).toBe('<p>One</p>\n<p><p>Two</p>');
+  });
+
+  it('removes a fence the model reopened and its reasoning', () => {
+    const previous = 'Here it is:\n```html\n<div>\n';
+    expect(stitchContinuation(previous, '<think>Go on</think>\n```html\n</div>\n```')).toBe('Here it is:\n```html\n<div>\n</div>\n```');
+  });
+
+  it('keeps a fence that opens a new block', () => {
+    expect(stitchContinuation('```html\n<p>Hi</p>\n```\n', '```css\np {}\n```')).toBe('```html\n<p>Hi</p>\n```\n```css\np {}\n```');
+  });
+
+  it('starts with the continuation when there is nothing before it', () => {
+    expect(stitchContinuation('', '<p>Hi</p>')).toBe('<p>Hi</p>');
+  });
+});
+
+describe('compactHistory', () => {
+  it('leaves a short chat as it is, apart from older versions', () => {
+    const history = [...chat(2), { role: 'user', content: 'Request 3' }];
+    expect(compactHistory(history)).toEqual([
+      { role: 'user', content: 'Request 1' },
+      { role: 'assistant', content: expect.stringContaining('An earlier version of the code') },
+      { role: 'user', content: 'Request 2' },
+      { role: 'assistant', content: '<p>Version 2</p>' },
+      { role: 'user', content: 'Request 3' }
+    ]);
+  });
+
+  it('summarises the requests before the recent turns', () => {
+    const history = [...chat(5), { role: 'user', content: 'Request 6' }];
+    const compacted = compactHistory(history, { recentTurns: 1 });
+    expect(compacted).toEqual([
+      { role: 'user', content: 'Earlier requests in this chat, already applied to the code:\n1. Request 1\n2. Request 2\n3. Request 3\n4. Request 4' },
+      { role: 'user', content: 'Request 5' },
+      { role: 'assistant', content: '<p>Version 5</p>' },
+      { role: 'user', content: 'Request 6' }
+    ]);
+  });
+
+  it('keeps the latest version even when its request was summarised', () => {
+    const history = [...chat(2), { role: 'user', content: 'Request 3' }];
+    expect(compactHistory(history, { recentTurns: 0 })).toEqual([
+      { role: 'user', content: 'Earlier requests in this chat, already applied to the code:\n1. Request 1\n2. Request 2' },
+      { role: 'assistant', content: '<p>Version 2</p>' },
+      { role: 'user', content: 'Request 3' }
+    ]);
+  });
+
+  it('keeps the output a manual edit is diffed against', () => {
+    const history = [...chat(3), { role: 'assistant', content: '<p>Edited</p>', source: 'manual-edit' }, { role: 'user', content: 'Request 4' }];
+    const versions = (editContext) => compactHistory(history, { recentTurns: 0, editContext }).filter(message => message.role === 'assistant');
+    expect(versions('diff').map(message => message.content)).toEqual(['<p>Version 3</p>', '<p>Edited</p>']);
+    expect(versions('full').map(message => message.content)).toEqual(['<p>Edited</p>']);
+  });
+});
+
+describe('buildContextMessages', () => {
+  const history = [...chat(5), { role: 'user', content: 'Request 6' }];
+  const maxTokens = 1000;
+  // The messages for the history compacted down to `recentTurns`, and their estimate.
+  const compacted = (recentTurns) => [{ role: 'system', content: 'System' }, ...toApiMessages(compactHistory(history, { recentTurns }))];
+  const estimate = (recentTurns) => estimateTokens(compacted(recentTurns));
+  const build = (contextWindow) => buildContextMessages('System', history, { contextWindow, maxTokens });
+
+  it('keeps the recent turns when they fit exactly', () => {
+    expect(build(estimate(3) + maxTokens)).toEqual(compacted(3));
+  });
+
+  it('summarises one more turn once the budget is one token short', () => {
+    expect(estimate(2)).toBeLessThan(estimate(3));
+    expect(build(estimate(3) + maxTokens - 1)).toEqual(compacted(2));
+  });
+
+  it('sends the most compact history when nothing fits', () => {
+    const messages = build(0);
+    expect(messages).toEqual(compacted(0));
+  });
+
+  it('sends everything in full mode', () => {
+    const messages = buildContextMessages('System', history, { mode: 'full', contextWindow: 0, maxTokens });
+    expect(messages).toHaveLength(history.length + 1);
+  });
+});
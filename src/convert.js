@@ -0,0 +1,37 @@
+// --- Framework Conversion ---
+// Rewrites a chat's code for another framework. The conversion is the first
+// turn of a new chat, so the target's own system prompt, output parsing and
+// repair loop apply to it like to any other request.
+
+import { getFramework } from './frameworks';
+
+function stylingRule(source, target) {
+  if (source.tailwind === false) return '- Translate the styles into equivalent Tailwind classes.';
+  if (target.tailwind === false) return `- Translate the Tailwind classes into equivalent ${target.label} styles, including spacing, colors, typography and layout.`;
+  return '- Keep every Tailwind class exactly as it is, including responsive, state and dark: variants.';
+}
+
+/**
+ * The prompt asking for `code` (a single file, or multi-file project output)
+ * written for framework `from` to be rewritten for framework `to`.
+ */
+export function buildConversionPrompt({ code, from, to, multiFile = false }) {
+  const source = getFramework(from);
+  const target = getFramework(to);
+  return [
+    `Convert this ${source.label} ${multiFile ? 'project' : 'code'} to ${target.label}. The result must look and behave exactly like the original:`,
+    '- Keep the same structure, text, images, links and accessibility attributes.',
+    stylingRule(source, target),
+    `- Re-create all state, event handling and interactions with ${target.label}'s own idioms.`,
+    '- Do not add, remove or redesign anything.',
+    '',
+    code
+  ].join('\n');
+}
+
+/**
+ * The title of the chat holding a conversion of the chat titled `title`.
+ */
+export function conversionTitle(title, to) {
+  return `${title} (${getFramework(to).label})`;
+}
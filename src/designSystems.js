@@ -0,0 +1,103 @@
+// --- Design Systems ---
+// A design system preset describes a brand: colours, fonts, spacing and
+// component conventions for the model, plus a Tailwind config (as JSON) that
+// is applied in the preview and in exported projects, so class names like
+// `bg-brand-500` render the way the brand defines them.
+
+import { v4 as uuidv4 } from 'uuid';
+
+const DESIGN_SYSTEMS_STORAGE_KEY = 'ai-frontend-design-systems';
+
+export function createDesignSystem() {
+  return {
+    id: uuidv4(),
+    name: 'New design system',
+    colors: '',
+    fonts: '',
+    fontStylesheetUrl: '',
+    spacing: '',
+    conventions: '',
+    tailwindConfig: '{\n  "theme": {\n    "extend": {}\n  }\n}'
+  };
+}
+
+export function loadDesignSystems() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DESIGN_SYSTEMS_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    console.error('Failed to load design systems:', e);
+    return [];
+  }
+}
+
+export function saveDesignSystems(designSystems) {
+  localStorage.setItem(DESIGN_SYSTEMS_STORAGE_KEY, JSON.stringify(designSystems));
+}
+
+/**
+ * Parses a preset's Tailwind config. Throws a user-facing error when it is not
+ * a JSON object.
+ */
+export function parseTailwindConfig(text) {
+  if (!text || !text.trim()) return {};
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`The Tailwind config is not valid JSON: ${e.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('The Tailwind config must be a JSON object, e.g. { "theme": { "extend": { ... } } }.');
+  }
+  return config;
+}
+
+// Presets are validated when saved; a broken config is ignored rather than breaking the preview.
+function safeTailwindConfig(designSystem) {
+  try {
+    return parseTailwindConfig(designSystem.tailwindConfig);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Brand guidance appended to the system prompt.
+ */
+export function buildDesignSystemPrompt(designSystem) {
+  const sections = [
+    ['Brand colours', designSystem.colors],
+    ['Fonts', designSystem.fonts],
+    ['Spacing', designSystem.spacing],
+    ['Component conventions', designSystem.conventions],
+  ].filter(([, value]) => value && value.trim());
+  const config = safeTailwindConfig(designSystem);
+  const lines = [`Follow the "${designSystem.name}" design system.`];
+  for (const [label, value] of sections) lines.push(`${label}: ${value.trim()}`);
+  if (Object.keys(config).length) {
+    lines.push(`This Tailwind config is already applied; use its theme tokens as class names instead of arbitrary values, and do not redefine it:\n${JSON.stringify(config, null, 2)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Markup that applies the preset to a page using the Tailwind CDN: the font
+ * stylesheet and the Tailwind config.
+ */
+export function designSystemSnippet(designSystem) {
+  const config = safeTailwindConfig(designSystem);
+  const fontLink = designSystem.fontStylesheetUrl
+    ? `<link rel="stylesheet" href="${designSystem.fontStylesheetUrl.replace(/"/g, '&quot;')}">\n`
+    : '';
+  return `${fontLink}<script>
+  if (window.tailwind) window.tailwind.config = Object.assign({}, window.tailwind.config, ${JSON.stringify(config).replace(/</g, '\\u003c')});
+</script>`;
+}
+
+/**
+ * The preset's Tailwind config merged into an exported project's config.
+ */
+export function getTailwindConfig(designSystem) {
+  return designSystem ? safeTailwindConfig(designSystem) : {};
+}
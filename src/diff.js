@@ -0,0 +1,82 @@
+// --- Line Diff ---
+// A small LCS-based line diff, used to describe manual edits to the model
+// compactly. Very large inputs fall back to a whole-file replacement hunk.
+
+const MAX_DIFF_CELLS = 4000000;
+
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  if (n * m > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: ' ', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: oldLines[i++] });
+    } else {
+      ops.push({ type: '+', line: newLines[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: oldLines[i++] });
+  while (j < m) ops.push({ type: '+', line: newLines[j++] });
+  return ops;
+}
+
+/**
+ * Returns a unified diff (without file headers) of `oldText` -> `newText`
+ * with `context` unchanged lines around each change, or '' if they are equal.
+ */
+export function createUnifiedDiff(oldText, newText, context = 3) {
+  const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows overlap into hunks.
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else ranges.push({ start, end });
+  }
+
+  // Line numbers before each op, so hunk headers can be computed.
+  const oldLineAt = [];
+  const newLineAt = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    oldLineAt.push(oldLine);
+    newLineAt.push(newLine);
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  return ranges.map(({ start, end }) => {
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const header = `@@ -${oldLineAt[start]},${oldCount} +${newLineAt[start]},${newCount} @@`;
+    return [header, ...hunk.map(op => op.type + op.line)].join('\n');
+  }).join('\n');
+}
@@ -0,0 +1,235 @@
+// --- ZIP Export ---
+// HTML output is zipped as-is. Component framework output is placed under src/
+// of a minimal Vite + Tailwind project (an Angular CLI project for Angular) so
+// `npm install && npm run dev` runs it.
+
+import { zipSync, strToU8 } from 'fflate';
+import { appendToBody } from './preview';
+import { toReactModule } from './frameworks/react';
+import { designSystemSnippet, getTailwindConfig } from './designSystems';
+
+const tailwindConfig = (extensions, designSystem) => {
+  const { content: _content, ...config } = getTailwindConfig(designSystem);
+  if (Object.keys(config).length === 0) {
+    return `/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./index.html', './src/**/*.{${extensions}}'],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+}
+`;
+  }
+  // The design system's config, with content paths for this project.
+  const merged = { content: ['./index.html', `./src/**/*.{${extensions}}`], ...config, plugins: [] };
+  return `/** @type {import('tailwindcss').Config} */
+export default ${JSON.stringify(merged, null, 2)}
+`;
+};
+
+const postcssConfig = `export default {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {},
+  },
+}
+`;
+
+const tailwindCss = `@tailwind base;
+@tailwind components;
+@tailwind utilities;
+`;
+
+const fontLink = (designSystem) => designSystem?.fontStylesheetUrl
+  ? `\n    <link rel="stylesheet" href="${designSystem.fontStylesheetUrl.replace(/"/g, '&quot;')}" />`
+  : '';
+
+const indexHtml = (body, designSystem) => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>Generated App</title>${fontLink(designSystem)}
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>
+`;
+
+const mountPoint = (mountId, entry) => `<div id="${mountId}"></div>
+    <script type="module" src="/src/${entry}"></script>`;
+
+const tailwindDependencies = {
+  autoprefixer: '^10.4.21',
+  postcss: '^8.5.6',
+  tailwindcss: '^3.4.4'
+};
+
+const packageJson = (name, dependencies, devDependencies, { tailwind = true } = {}) => JSON.stringify({
+  name,
+  private: true,
+  version: '0.0.0',
+  type: 'module',
+  scripts: { dev: 'vite', build: 'vite build', preview: 'vite preview' },
+  dependencies,
+  devDependencies: {
+    ...devDependencies,
+    ...(tailwind ? tailwindDependencies : {}),
+    vite: '^7.1.7'
+  }
+}, null, 2) + '\n';
+
+const viteConfig = (pluginImport, plugin, extra = '') => `import { defineConfig } from 'vite'\n${pluginImport}\n\nexport default defineConfig({\n  plugins: [${plugin}],${extra}\n})\n`;
+
+// Generated components rely on hooks being in scope; give each file explicit imports.
+const reactSourceFiles = (files) => Object.fromEntries(Object.entries(files).map(([path, content]) => [
+  `src/${path}`,
+  /\.(jsx|js|tsx)$/.test(path) ? toReactModule(content).source : content
+]));
+
+const sourceFiles = (files) => Object.fromEntries(Object.entries(files).map(([path, content]) => [`src/${path}`, content]));
+
+const withoutExtension = (path) => path.replace(/\.(jsx|js|tsx|ts)$/, '');
+
+// Angular needs the component's class name and selector to bootstrap it.
+function angularProject(files, entry, designSystem) {
+  const source = files[entry];
+  const exported = source.match(/export\s+(default\s+)?class\s+(\w+)/);
+  const className = exported ? exported[2] : 'AppComponent';
+  const importClause = exported?.[1] ? className : `{ ${className} }`;
+  const selector = (source.match(/selector\s*:\s*['"`]([^'"`,]+)/) || [])[1]?.trim() || 'app-root';
+  const name = 'generated-angular-app';
+  const angularVersion = '^20.0.0';
+  return {
+    'package.json': JSON.stringify({
+      name,
+      private: true,
+      version: '0.0.0',
+      type: 'module',
+      scripts: { dev: 'ng serve', start: 'ng serve', build: 'ng build' },
+      dependencies: Object.fromEntries([
+        ...['core', 'common', 'compiler', 'forms', 'platform-browser'].map(pkg => [`@angular/${pkg}`, angularVersion]),
+        ['rxjs', '~7.8.0'],
+        ['tslib', '^2.3.0']
+      ]),
+      devDependencies: {
+        '@angular/build': angularVersion,
+        '@angular/cli': angularVersion,
+        '@angular/compiler-cli': angularVersion,
+        ...tailwindDependencies,
+        typescript: '~5.8.0'
+      }
+    }, null, 2) + '\n',
+    'angular.json': JSON.stringify({
+      $schema: './node_modules/@angular/cli/lib/config/schema.json',
+      version: 1,
+      newProjectRoot: 'projects',
+      projects: {
+        [name]: {
+          projectType: 'application',
+          root: '',
+          sourceRoot: 'src',
+          architect: {
+            build: {
+              builder: '@angular/build:application',
+              options: { browser: 'src/main.ts', index: 'src/index.html', tsConfig: 'tsconfig.json', styles: ['src/styles.css'] }
+            },
+            serve: { builder: '@angular/build:dev-server', options: { buildTarget: `${name}:build` } }
+          }
+        }
+      }
+    }, null, 2) + '\n',
+    'tsconfig.json': JSON.stringify({
+      compilerOptions: {
+        target: 'ES2022',
+        module: 'ES2022',
+        moduleResolution: 'bundler',
+        lib: ['ES2022', 'dom'],
+        experimentalDecorators: true,
+        skipLibCheck: true
+      },
+      files: ['src/main.ts'],
+      angularCompilerOptions: { strictTemplates: false }
+    }, null, 2) + '\n',
+    'tailwind.config.js': tailwindConfig('html,ts', designSystem),
+    'src/index.html': indexHtml(`<${selector}></${selector}>`, designSystem),
+    'src/styles.css': tailwindCss,
+    'src/main.ts': `import { provideZonelessChangeDetection } from '@angular/core'\nimport { bootstrapApplication } from '@angular/platform-browser'\nimport ${importClause} from './${withoutExtension(entry)}'\n\nbootstrapApplication(${className}, { providers: [provideZonelessChangeDetection()] }).catch((err) => console.error(err))\n`,
+    ...sourceFiles(files)
+  };
+}
+
+const scaffolds = {
+  react: (files, entry, designSystem) => ({
+    'package.json': packageJson('generated-react-app', { react: '^19.1.1', 'react-dom': '^19.1.1' }, { '@vitejs/plugin-react': '^5.0.4' }),
+    'vite.config.js': viteConfig(`import react from '@vitejs/plugin-react'`, 'react()'),
+    'tailwind.config.js': tailwindConfig('js,jsx', designSystem),
+    'postcss.config.js': postcssConfig,
+    'index.html': indexHtml(mountPoint('root', 'main.jsx'), designSystem),
+    'src/index.css': tailwindCss,
+    'src/main.jsx': `import { StrictMode } from 'react'\nimport { createRoot } from 'react-dom/client'\nimport App from './${withoutExtension(entry)}'\nimport './index.css'\n\ncreateRoot(document.getElementById('root')).render(\n  <StrictMode>\n    <App />\n  </StrictMode>,\n)\n`,
+    ...reactSourceFiles(files)
+  }),
+  vue: (files, entry, designSystem) => ({
+    'package.json': packageJson('generated-vue-app', { vue: '^3.5.0' }, { '@vitejs/plugin-vue': '^6.0.0' }),
+    'vite.config.js': viteConfig(`import vue from '@vitejs/plugin-vue'`, 'vue()'),
+    'tailwind.config.js': tailwindConfig('js,vue', designSystem),
+    'postcss.config.js': postcssConfig,
+    'index.html': indexHtml(mountPoint('app', 'main.js'), designSystem),
+    'src/index.css': tailwindCss,
+    'src/main.js': `import { createApp } from 'vue'\nimport App from './${entry}'\nimport './index.css'\n\ncreateApp(App).mount('#app')\n`,
+    ...sourceFiles(files)
+  }),
+  svelte: (files, entry, designSystem) => ({
+    'package.json': packageJson('generated-svelte-app', { svelte: '^5.0.0' }, { '@sveltejs/vite-plugin-svelte': '^6.0.0' }),
+    'vite.config.js': viteConfig(`import { svelte } from '@sveltejs/vite-plugin-svelte'`, 'svelte()'),
+    'tailwind.config.js': tailwindConfig('js,svelte', designSystem),
+    'postcss.config.js': postcssConfig,
+    'index.html': indexHtml(mountPoint('app', 'main.js'), designSystem),
+    'src/index.css': tailwindCss,
+    'src/main.js': `import { mount } from 'svelte'\nimport App from './${entry}'\nimport './index.css'\n\nmount(App, { target: document.getElementById('app') })\n`,
+    ...sourceFiles(files)
+  }),
+  angular: angularProject,
+  solid: (files, entry, designSystem) => ({
+    'package.json': packageJson('generated-solid-app', { 'solid-js': '^1.9.0' }, { 'vite-plugin-solid': '^2.11.0' }),
+    'vite.config.js': viteConfig(`import solid from 'vite-plugin-solid'`, 'solid()'),
+    'tailwind.config.js': tailwindConfig('js,jsx', designSystem),
+    'postcss.config.js': postcssConfig,
+    'index.html': indexHtml(mountPoint('root', 'index.jsx'), designSystem),
+    'src/index.css': tailwindCss,
+    'src/index.jsx': `import { render } from 'solid-js/web'\nimport App from './${withoutExtension(entry)}'\nimport './index.css'\n\nrender(() => <App />, document.getElementById('root'))\n`,
+    ...sourceFiles(files)
+  }),
+  // Runs in the browser through react-native-web, like the preview.
+  'react-native': (files, entry, designSystem) => ({
+    'package.json': packageJson('generated-react-native-app', { react: '^19.1.1', 'react-dom': '^19.1.1', 'react-native-web': '^0.21.0' }, { '@vitejs/plugin-react': '^5.0.4' }, { tailwind: false }),
+    'vite.config.js': viteConfig(`import react from '@vitejs/plugin-react'`, 'react()', `\n  resolve: {\n    alias: { 'react-native': 'react-native-web' },\n  },`),
+    'index.html': indexHtml(mountPoint('root', 'index.jsx'), designSystem),
+    'src/index.jsx': `import { AppRegistry } from 'react-native'\nimport App from './${withoutExtension(entry)}'\n\nAppRegistry.registerComponent('App', () => App)\nAppRegistry.runApplication('App', { rootTag: document.getElementById('root') })\n`,
+    ...reactSourceFiles(files)
+  }),
+};
+
+// HTML pages load Tailwind from the CDN, so the design system is applied the same way as in the preview.
+const applyDesignSystemToPages = (files, designSystem) => Object.fromEntries(Object.entries(files).map(([path, content]) => [
+  path,
+  /\.html?$/.test(path) ? appendToBody(content, designSystemSnippet(designSystem)) : content
+]));
+
+/**
+ * Returns the project as a ZIP `Blob`. `entry` is the root component for
+ * component frameworks (see `getProjectEntry`). A `designSystem` preset carries over
+ * its Tailwind config and fonts.
+ */
+export function buildProjectZip(files, framework, entry, { designSystem = null } = {}) {
+  const tree = scaffolds[framework]
+    ? scaffolds[framework](files, entry, designSystem)
+    : designSystem ? applyDesignSystemToPages(files, designSystem) : files;
+  const zipped = zipSync(Object.fromEntries(
+    Object.entries(tree).map(([path, content]) => [path, strToU8(content)])
+  ));
+  return new Blob([zipped], { type: 'application/zip' });
+}
@@ -0,0 +1,63 @@
+// Angular standalone components in TypeScript, compiled in the preview with
+// Babel and rendered by Angular's JIT compiler without zone.js.
+
+import { lineAt, validateMarkup } from '../validation';
+import { CDN, babelCompiler, componentDocument } from '../previewRuntime';
+
+const ANGULAR_VERSION = '20';
+const ANGULAR_PACKAGES = ['core', 'common', 'compiler', 'forms', 'platform-browser'];
+
+// TypeScript can't be parsed here, so only the decorator and the inline template are checked.
+export function validateAngular(code) {
+  const errors = [];
+  if (!/@Component\s*\(/.test(code)) errors.push('No @Component decorator found.');
+  if (!/export\s+(?:default\s+)?class\s+\w+/.test(code)) errors.push('The component class must be exported, e.g. "export class AppComponent { ... }".');
+  const template = code.match(/\btemplate\s*:\s*`([\s\S]*?)`/);
+  if (template) {
+    const lineOffset = lineAt(code, template.index + template[0].indexOf('`') + 1) - 1;
+    errors.push(...validateMarkup(template[1], { allowSelfClosing: true, lineOffset }));
+  }
+  return errors;
+}
+
+// Loads the JIT compiler before any component is compiled, then strips types and applies decorators.
+const angularCompiler = babelCompiler(/\.ts$/, {
+  presets: ['typescript'],
+  plugins: [['proposal-decorators', { version: 'legacy' }], ['transform-class-properties', { loose: true }]],
+}, `await import('@angular/compiler');`);
+
+export default {
+  id: 'angular',
+  label: 'Angular',
+  description: 'Angular standalone component',
+  editorLanguage: 'typescript',
+  fileExtensions: ['ts'],
+  entryFiles: ['app.component.ts', 'app/app.component.ts', 'app.ts'],
+  systemPrompt: `You are an expert Angular developer who builds clean standalone components. Your task is to generate a single Angular ${ANGULAR_VERSION} standalone component in TypeScript based on the user's request. Rules: 1. Declare one component with @Component({ selector: 'app-root', standalone: true, imports: [...], template: \`...\` }) and 'export class AppComponent { ... }'; keep the template inline and do not use templateUrl or styleUrls. 2. Use signals (signal, computed) for state, the built-in control flow (@if, @for with track) in templates, and inject() instead of constructor parameters for dependencies. 3. Only import from @angular/core, @angular/common and @angular/forms. 4. Use Tailwind CSS classes for all styling (assume Tailwind is already configured). 5. Your response must ONLY contain the raw TypeScript code. Do not include explanations or markdown ticks. 6. Keep the code concise and under 3000 characters when possible.`,
+  projectSystemPrompt: `You are an expert Angular developer who builds clean standalone components. Your task is to generate a small multi-file Angular ${ANGULAR_VERSION} project based on the user's request. Rules: 1. The root component must be app.component.ts with selector 'app-root' and 'export class AppComponent'. 2. Put every other standalone component in its own file under components/ (e.g. components/header.component.ts), keep templates inline (no templateUrl or styleUrls), and import components with relative paths without the extension. 3. Use signals (signal, computed), the built-in control flow (@if, @for with track) and inject() instead of constructor parameters; only import from @angular/core, @angular/common and @angular/forms. 4. Use Tailwind CSS classes for all styling (assume Tailwind is already configured). 5. Do not create main.ts, index.html or config files; they are provided.`,
+  output: {
+    fenceLanguages: ['typescript', 'ts', 'angular'],
+    start: /^(?:import|export|@Component)\b/m,
+    end: null,
+    comment: (text) => `// ${text}`,
+  },
+  validate: validateAngular,
+  validateFile: (path, content) => (path.endsWith('.ts') && /@Component\s*\(/.test(content) ? validateAngular(content) : null),
+  buildPreview: (files, entry) => componentDocument({
+    files,
+    entry,
+    imports: {
+      ...Object.fromEntries(ANGULAR_PACKAGES.map(name => [`@angular/${name}`, `https://esm.sh/@angular/${name}@${ANGULAR_VERSION}`])),
+      rxjs: 'https://esm.sh/rxjs@7',
+      'rxjs/operators': 'https://esm.sh/rxjs@7/operators',
+    },
+    head: `<script src="${CDN.babel}"></script>`,
+    compiler: angularCompiler,
+    mount: `
+      const { provideZonelessChangeDetection, reflectComponentType } = await import('@angular/core');
+      const { bootstrapApplication } = await import('@angular/platform-browser');
+      const selector = reflectComponentType(Component)?.selector.split(',')[0].trim() || 'app-root';
+      root.appendChild(document.createElement(selector));
+      await bootstrapApplication(Component, { providers: [provideZonelessChangeDetection()] });`,
+  }),
+};
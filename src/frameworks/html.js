@@ -0,0 +1,60 @@
+// Plain HTML pages with Tailwind from the CDN.
+
+import { validateMarkup } from '../validation';
+import { errorOverlayScript, moduleRuntime, toScriptLiteral } from '../previewRuntime';
+
+// Inlines local stylesheets and classic scripts, and loads local module
+// scripts through the module loader so their relative imports resolve.
+function buildPreview(files, entry) {
+  const directory = entry.split('/').slice(0, -1);
+  const localPath = (url) => {
+    if (/^(?:[a-z]+:)?\/\//i.test(url) || url.startsWith('data:')) return null;
+    const parts = [...directory];
+    for (const part of url.split(/[?#]/)[0].split('/')) {
+      if (part === '.' || part === '') continue;
+      if (part === '..') parts.pop(); else parts.push(part);
+    }
+    const path = parts.join('/');
+    return path in files ? path : null;
+  };
+
+  const html = files[entry]
+    .replace(/<link\b[^>]*?\bhref=["']([^"']+)["'][^>]*>/gi, (tag, href) => {
+      const path = /\brel=["']?stylesheet/i.test(tag) ? localPath(href) : null;
+      return path ? `<style data-file="${path}">\n${files[path].replace(/<\/style/gi, '<\\/style')}\n</style>` : tag;
+    })
+    .replace(/<script\b([^>]*?)\bsrc=["']([^"']+)["']([^>]*)>\s*<\/script>/gi, (tag, before, src, after) => {
+      const path = localPath(src);
+      if (!path) return tag;
+      if (/\btype=["']?module/i.test(before + after)) {
+        return `<script type="module">window.__loadProjectModule(${toScriptLiteral(path)}).then((url) => import(url)).catch((err) => window.__showPreviewError('Runtime error', err));</script>`;
+      }
+      return `<script data-file="${path}">\n${files[path].replace(/<\/script/gi, '<\\/script')}\n</script>`;
+    });
+
+  const runtime = errorOverlayScript + moduleRuntime(files);
+  return /<head[^>]*>/i.test(html)
+    ? html.replace(/<head[^>]*>/i, (tag) => tag + runtime)
+    : runtime + html;
+}
+
+export default {
+  id: 'html',
+  label: 'HTML',
+  description: 'HTML file',
+  editorLanguage: 'html',
+  fileExtensions: ['html', 'htm'],
+  entryFiles: ['index.html'],
+  systemPrompt: `You are an expert frontend developer specializing in clean, modern web design using Tailwind CSS. Your task is to generate a single, self-contained HTML file based on the user's request. Rules: 1. All HTML, CSS, and JavaScript must be in one .html file. 2. Use Tailwind CSS for all styling via the CDN (<script src="https://cdn.tailwindcss.com"></script>). 3. Use placeholder services like [https://placehold.co/](https://placehold.co/) for images. 4. Your response must ONLY contain the raw HTML code, with no explanations or markdown ticks. 5. Keep the code concise and under 3000 characters when possible.`,
+  projectSystemPrompt: `You are an expert frontend developer specializing in clean, modern web design using Tailwind CSS. Your task is to generate a small multi-file static website based on the user's request. Rules: 1. The entry point must be index.html; put custom styles in styles.css and scripts in app.js (add more .html, .css or .js files only when they are really needed). 2. Reference the other files with relative paths, e.g. <link rel="stylesheet" href="styles.css"> and <script src="app.js"></script>; ES modules (<script type="module">) may import each other with relative paths. 3. Use Tailwind CSS for styling via the CDN (<script src="https://cdn.tailwindcss.com"></script>). 4. Use placeholder services like https://placehold.co/ for images.`,
+  output: {
+    fenceLanguages: ['html', 'htm', 'xml'],
+    start: /<!DOCTYPE|<html\b|<head\b|<body\b|<[a-z][\w-]*[\s>]/i,
+    end: />(?![\s\S]*[<>])/,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  validate: (code) => validateMarkup(code, { allowSelfClosing: true }),
+  buildPreview,
+  // A single page is rendered as-is.
+  buildFilePreview: (code) => code,
+};
@@ -0,0 +1,51 @@
+// --- Output Targets ---
+// Every framework the app can generate for is described by one definition:
+//   id, label        -- stored in chats and share links / shown in the picker
+//   description      -- what one generated file is, used in follow-up prompts
+//   editorLanguage   -- Monaco language for single-file output
+//   fileExtensions   -- extensions of the framework's source files
+//   entryFiles       -- entry file names in order of preference; the first is
+//                       the name single-file output is exported under
+//   systemPrompt, projectSystemPrompt
+//                    -- single-file and multi-file instructions (the file
+//                       format rules are added by project.js)
+//   output           -- how code is found in a response: fenced block
+//                       languages, `start`/`end` patterns and `comment(text)`
+//   validate(code)   -- problems in single-file output
+//   validateFile(path, content)
+//                    -- optional; problems in one project file, or null to
+//                       use the generic HTML/JavaScript checks
+//   buildPreview(files, entry)
+//                    -- the preview `srcdoc` for a set of files
+//   buildFilePreview(code)
+//                    -- optional; the preview for single-file output, which
+//                       otherwise goes through buildPreview as the entry file
+//   tailwind         -- optional; false if the target is not styled with
+//                       Tailwind classes (used when converting between targets)
+// Adding a target means adding a definition here (plus a project scaffold in
+// exportZip.js for a runnable ZIP export).
+
+import html from './html';
+import react from './react';
+import vue from './vue';
+import svelte from './svelte';
+import angular from './angular';
+import solid from './solid';
+import reactNative from './reactNative';
+
+// In the order the framework picker lists them.
+export const frameworks = Object.fromEntries([html, react, vue, svelte, angular, solid, reactNative].map(definition => [definition.id, definition]));
+
+export const DEFAULT_FRAMEWORK = 'html';
+
+export function isFramework(id) {
+  return Object.hasOwn(frameworks, id);
+}
+
+/**
+ * The definition for `id`, falling back to plain HTML for unknown ids (e.g.
+ * from a share link made by a newer version).
+ */
+export function getFramework(id) {
+  return isFramework(id) ? frameworks[id] : frameworks[DEFAULT_FRAMEWORK];
+}
@@ -0,0 +1,109 @@
+// React function components, compiled in the preview with Babel.
+
+import { validateScript } from '../validation';
+import { CDN, babelCompiler, componentDocument } from '../previewRuntime';
+
+const REACT_HOOKS = ['useState', 'useEffect', 'useRef', 'useMemo', 'useCallback', 'useReducer', 'useContext', 'useLayoutEffect', 'Fragment'];
+
+export const REACT_IMPORTS = {
+  react: 'https://esm.sh/react@19',
+  'react-dom/client': 'https://esm.sh/react-dom@19/client',
+};
+
+// A capitalised declaration whose value is a function: `function Name(`, or
+// `const Name =` followed by an arrow function, a function expression or a
+// memo()/forwardRef() wrapper. Top-level declarations start at column 0.
+const componentDeclaration = (indent) => new RegExp(
+  `^${indent}(?:export\\s+)?(?:function\\s+([A-Z][\\w$]*)\\s*\\(|(?:const|let|var)\\s+([A-Z][\\w$]*)\\s*=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*=>|[\\w$]+\\s*=>|(?:React\\.)?(?:memo|forwardRef)\\s*\\())`,
+  'gm'
+);
+
+/**
+ * Finds the component a React generation should mount: the default export if
+ * there is one, otherwise the last top-level component that no other one
+ * renders (helpers such as `FeatureCard` come before the page that uses them).
+ */
+export function findReactComponentName(code) {
+  const exported = code.match(/export\s+default\s+(?:function\s+)?([A-Z][\w$]*)/);
+  if (exported) return exported[1];
+  let names = [...code.matchAll(componentDeclaration(''))].map(match => match[1] || match[2]);
+  if (!names.length) names = [...code.matchAll(componentDeclaration('[ \\t]*'))].map(match => match[1] || match[2]);
+  if (!names.length) return null;
+  const unused = names.filter(name => !new RegExp(`<${name}[\\s/>]|createElement\\(\\s*${name}\\b`).test(code));
+  return (unused.length ? unused : names).pop();
+}
+
+/**
+ * Rewrites a generated component into an ES module: existing `react` imports
+ * are merged into one that also brings the common hooks into scope (the
+ * single-file system prompt tells the model not to import React) and a
+ * default export is added when the component has none.
+ */
+export function toReactModule(code) {
+  const name = findReactComponentName(code);
+  const specifiers = new Map(REACT_HOOKS.map(hook => [hook, hook]));
+  const body = code.replace(/^\s*import\s+([^;]*?)\s+from\s+['"]react['"];?[ \t]*$/gm, (all, clause) => {
+    const named = clause.match(/\{([^}]*)\}/);
+    if (named) {
+      named[1].split(',').map(s => s.trim()).filter(Boolean).forEach(specifier => {
+        const local = specifier.split(/\s+as\s+/).pop().trim();
+        specifiers.set(local, specifier);
+      });
+    }
+    return '';
+  });
+  specifiers.delete('React');
+  const header = `import React, { ${[...specifiers.values()].join(', ')} } from 'react';\n`;
+  const hasDefaultExport = /export\s+default\s/.test(body);
+  const footer = !hasDefaultExport && name ? `\nexport default ${name};\n` : '\n';
+  return { name, source: header + body + footer };
+}
+
+export function validateReact(code, { requireComponent = false } = {}) {
+  const errors = validateScript(code);
+  if (requireComponent && !findReactComponentName(code)) {
+    errors.push('No component found; the code must declare "function ComponentName() { ... }".');
+  }
+  return errors;
+}
+
+// Gives every script file the React imports it relies on (see toReactModule).
+export const prepareReactFiles = (files) => Object.fromEntries(Object.entries(files).map(([path, content]) => [
+  path,
+  /\.(jsx|js|tsx)$/.test(path) ? toReactModule(content).source : content
+]));
+
+// The typescript preset only applies to .tsx files, stripping their types.
+export const reactCompiler = babelCompiler(/\.(jsx|js|tsx)$/, { presets: ['react', 'typescript'] });
+
+export const reactMount = `
+      const { createRoot } = await import('react-dom/client');
+      const { createElement } = await import('react');
+      const onError = (err) => window.__showPreviewError('Runtime error', err);
+      createRoot(root, { onUncaughtError: onError, onRecoverableError: onError }).render(createElement(Component));`;
+
+export default {
+  id: 'react',
+  label: 'React',
+  description: 'React component',
+  editorLanguage: 'javascript',
+  fileExtensions: ['jsx', 'js', 'tsx'],
+  entryFiles: ['App.jsx', 'App.js', 'App.tsx'],
+  systemPrompt: `You are an expert React developer who creates clean, functional components. Your task is to generate a single JSX file for a React functional component based on the user's request. Rules: 1. Use React hooks (useState, useEffect, etc.) for any state or logic. 2. Use Tailwind CSS classes for all styling (assume Tailwind is already configured in the project). 3. Do not include 'import React...' as it is assumed to be available. 4. Your response must ONLY contain the raw JSX code for the component, starting with 'function ComponentName() { ... }'. Do not include explanations or markdown ticks. 5. Keep the code concise and under 3000 characters when possible.`,
+  projectSystemPrompt: `You are an expert React developer who creates clean, functional components. Your task is to generate a small multi-file React project based on the user's request. Rules: 1. The root component must be App.jsx with 'export default function App() { ... }'. 2. Put every other component in its own file under components/ (e.g. components/Header.jsx) with a default export, and import it with a relative path (e.g. import Header from './components/Header'). 3. Import hooks explicitly from 'react' (e.g. import { useState } from 'react'); do not import any other packages. 4. Use Tailwind CSS classes for all styling (assume Tailwind is already configured); a plain .css file may be imported if really needed. 5. Do not create main.jsx, index.html or config files; they are provided.`,
+  output: {
+    fenceLanguages: ['jsx', 'javascript', 'js', 'tsx', 'react'],
+    start: /^(?:import|export|function|const|let|var|class)\b/m,
+    end: null,
+    comment: (text) => `// ${text}`,
+  },
+  validate: (code) => validateReact(code, { requireComponent: true }),
+  buildPreview: (files, entry) => componentDocument({
+    files: prepareReactFiles(files),
+    entry,
+    imports: REACT_IMPORTS,
+    head: `<script src="${CDN.babel}"></script>`,
+    compiler: reactCompiler,
+    mount: reactMount,
+  }),
+};
@@ -0,0 +1,37 @@
+// React Native components, previewed in the browser through react-native-web.
+
+import { CDN, componentDocument } from '../previewRuntime';
+import { REACT_IMPORTS, prepareReactFiles, reactCompiler, reactMount, validateReact } from './react';
+
+export default {
+  id: 'react-native',
+  label: 'React Native',
+  description: 'React Native component',
+  editorLanguage: 'javascript',
+  fileExtensions: ['jsx', 'js', 'tsx'],
+  entryFiles: ['App.jsx', 'App.js', 'App.tsx'],
+  systemPrompt: `You are an expert React Native developer who creates clean, functional components. Your task is to generate a single React Native component file based on the user's request. Rules: 1. Use only the core components and APIs (View, Text, Image, ScrollView, Pressable, TextInput, FlatList, StyleSheet, ...) imported from 'react-native', and React hooks for state and logic. 2. Style with StyleSheet.create; do not use Tailwind classes, className or HTML elements. 3. Do not import any package other than 'react' and 'react-native'. 4. The component must be 'export default function App() { ... }'. 5. Your response must ONLY contain the raw JSX code. Do not include explanations or markdown ticks. 6. Keep the code concise and under 3000 characters when possible.`,
+  projectSystemPrompt: `You are an expert React Native developer who creates clean, functional components. Your task is to generate a small multi-file React Native project based on the user's request. Rules: 1. The root component must be App.jsx with 'export default function App() { ... }'. 2. Put every other component in its own file under components/ (e.g. components/Header.jsx) with a default export, and import it with a relative path (e.g. import Header from './components/Header'). 3. Use only the core components and APIs imported from 'react-native' and hooks imported from 'react'; do not import any other package. 4. Style with StyleSheet.create; do not use Tailwind classes, className or HTML elements. 5. Do not create index.js, app.json or config files; they are provided.`,
+  output: {
+    fenceLanguages: ['jsx', 'javascript', 'js', 'tsx', 'react-native'],
+    start: /^(?:import|export|function|const|let|var|class)\b/m,
+    end: null,
+    comment: (text) => `// ${text}`,
+  },
+  validate: (code) => validateReact(code, { requireComponent: true }),
+  tailwind: false,
+  buildPreview: (files, entry) => componentDocument({
+    files: prepareReactFiles(files),
+    entry,
+    imports: {
+      ...REACT_IMPORTS,
+      'react-dom': 'https://esm.sh/react-dom@19',
+      'react-native': 'https://esm.sh/react-native-web@0.21',
+    },
+    head: `<script src="${CDN.babel}"></script>`,
+    compiler: reactCompiler,
+    // react-native-web lays out like a native screen: a full-height flex column.
+    mount: `
+      root.style.cssText = 'display:flex;flex-direction:column;min-height:100vh;';${reactMount}`,
+  }),
+};
@@ -0,0 +1,51 @@
+// SolidJS components, compiled in the preview with Babel and babel-preset-solid.
+
+import { CDN, componentDocument, toScriptLiteral } from '../previewRuntime';
+import { validateReact } from './react';
+
+const SOLID_URL = 'https://esm.sh/solid-js@1';
+const SOLID_PRESET_URL = 'https://esm.sh/babel-preset-solid@1';
+
+// Runs inside the iframe: compiles JSX into Solid's DOM expressions (and strips
+// the types of .tsx files).
+const solidCompiler = `
+  const solidPresetUrl = ${toScriptLiteral(SOLID_PRESET_URL)};
+  let solidPreset = null;
+
+  async function compileFile(path, source) {
+    if (!/\\.(jsx|js|tsx)$/.test(path)) return source;
+    solidPreset = solidPreset || (await import(solidPresetUrl)).default;
+    return Babel.transform(source, { presets: [[solidPreset, { generate: 'dom' }], 'typescript'], sourceType: 'module', filename: path }).code;
+  }`;
+
+export default {
+  id: 'solid',
+  label: 'Solid',
+  description: 'SolidJS component',
+  editorLanguage: 'javascript',
+  fileExtensions: ['jsx', 'js', 'tsx'],
+  entryFiles: ['App.jsx', 'App.js', 'App.tsx'],
+  systemPrompt: `You are an expert SolidJS developer who builds fine-grained reactive components. Your task is to generate a single JSX file for a SolidJS component based on the user's request. Rules: 1. Use signals (createSignal, createMemo, createEffect) for state and logic, and <Show> and <For> for conditionals and lists; import them explicitly from 'solid-js'. 2. Use the class attribute (not className) with Tailwind CSS classes for all styling (assume Tailwind is already configured). 3. Do not destructure props, and do not import any package other than 'solid-js'. 4. The component must be 'export default function App() { ... }'. 5. Your response must ONLY contain the raw JSX code. Do not include explanations or markdown ticks. 6. Keep the code concise and under 3000 characters when possible.`,
+  projectSystemPrompt: `You are an expert SolidJS developer who builds fine-grained reactive components. Your task is to generate a small multi-file SolidJS project based on the user's request. Rules: 1. The root component must be App.jsx with 'export default function App() { ... }'. 2. Put every other component in its own file under components/ (e.g. components/Header.jsx) with a default export, and import it with a relative path (e.g. import Header from './components/Header'). 3. Use signals, <Show> and <For> imported explicitly from 'solid-js'; do not destructure props and do not import any other package. 4. Use the class attribute with Tailwind CSS classes for all styling (assume Tailwind is already configured). 5. Do not create index.jsx, index.html or config files; they are provided.`,
+  output: {
+    fenceLanguages: ['jsx', 'javascript', 'js', 'tsx', 'solid'],
+    start: /^(?:import|export|function|const|let|var|class)\b/m,
+    end: null,
+    comment: (text) => `// ${text}`,
+  },
+  validate: (code) => validateReact(code, { requireComponent: true }),
+  buildPreview: (files, entry) => componentDocument({
+    files,
+    entry,
+    imports: {
+      'solid-js': SOLID_URL,
+      'solid-js/web': `${SOLID_URL}/web`,
+      'solid-js/store': `${SOLID_URL}/store`,
+    },
+    head: `<script src="${CDN.babel}"></script>`,
+    compiler: solidCompiler,
+    mount: `
+      const { render, createComponent } = await import('solid-js/web');
+      render(() => createComponent(Component, {}), root);`,
+  }),
+};
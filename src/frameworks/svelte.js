@@ -0,0 +1,55 @@
+// Svelte 5 components, compiled in the preview with the Svelte compiler.
+
+import { findScriptBlocks, maskExpressions, validateMarkup, validateScript } from '../validation';
+import { componentDocument, toScriptLiteral } from '../previewRuntime';
+
+const SVELTE_URL = 'https://esm.sh/svelte@5';
+const SVELTE_COMPILER_URL = 'https://esm.sh/svelte@5/compiler';
+
+export function validateSvelte(code) {
+  const errors = validateMarkup(maskExpressions(code), { allowSelfClosing: true });
+  for (const script of findScriptBlocks(code)) {
+    if (/\blang=["']?ts/.test(script.attrs)) continue;
+    errors.push(...validateScript(script.content, { lineOffset: script.line }));
+  }
+  return errors;
+}
+
+// Runs inside the iframe: compiles .svelte files with their styles injected by the component.
+const svelteCompiler = `
+  const svelteCompilerUrl = ${toScriptLiteral(SVELTE_COMPILER_URL)};
+  let svelteCompiler = null;
+
+  async function compileFile(path, source) {
+    if (!path.endsWith('.svelte')) return source;
+    svelteCompiler = svelteCompiler || await import(svelteCompilerUrl);
+    return svelteCompiler.compile(source, { filename: path, generate: 'client', css: 'injected' }).js.code;
+  }`;
+
+export default {
+  id: 'svelte',
+  label: 'Svelte',
+  description: 'Svelte component',
+  editorLanguage: 'html',
+  fileExtensions: ['svelte'],
+  entryFiles: ['App.svelte'],
+  systemPrompt: `You are an expert Svelte developer who builds clean, reactive components. Your task is to generate a single Svelte 5 component (.svelte) based on the user's request. Rules: 1. Use a <script> block with Svelte 5 runes ($state, $derived, $effect, $props) for state and logic, then the markup, then an optional <style> block. 2. Use event attributes such as onclick={...} (not on:click). 3. Use Tailwind CSS classes for all styling (assume Tailwind is already configured). 4. Do not import any package other than 'svelte'. 5. Your response must ONLY contain the raw code for the .svelte file. Do not include explanations or markdown ticks. 6. Keep the code concise and under 3000 characters when possible.`,
+  projectSystemPrompt: `You are an expert Svelte developer who builds clean, reactive components. Your task is to generate a small multi-file Svelte 5 project based on the user's request. Rules: 1. The root component must be App.svelte. 2. Put every other component in its own .svelte file under components/ and import it with a relative path (e.g. import Header from './components/Header.svelte'). 3. Use Svelte 5 runes ($state, $derived, $effect, $props) and event attributes such as onclick={...}; do not import any package other than 'svelte'. 4. Use Tailwind CSS classes for all styling (assume Tailwind is already configured). 5. Do not create main.js, index.html or config files; they are provided.`,
+  output: {
+    fenceLanguages: ['svelte', 'html'],
+    start: /^<(?:script|style|[a-z][\w:-]*)[\s>]|^\{#/im,
+    end: /(?:>|\{\/\w+\})(?![\s\S]*(?:[<>]|\{\/))/,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  validate: validateSvelte,
+  validateFile: (path, content) => (path.endsWith('.svelte') ? validateSvelte(content) : null),
+  buildPreview: (files, entry) => componentDocument({
+    files,
+    entry,
+    imports: { svelte: SVELTE_URL, 'svelte/': `${SVELTE_URL}/` },
+    compiler: svelteCompiler,
+    mount: `
+      const { mount } = await import('svelte');
+      mount(Component, { target: root });`,
+  }),
+};
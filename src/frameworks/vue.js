@@ -0,0 +1,109 @@
+// Vue 3 single-file components, compiled in the preview with @vue/compiler-sfc.
+
+import { lineAt, validateMarkup, validateScript } from '../validation';
+import { componentDocument, toScriptLiteral } from '../previewRuntime';
+
+const VUE_URL = 'https://unpkg.com/vue@3/dist/vue.esm-browser.prod.js';
+const VUE_COMPILER_URL = 'https://unpkg.com/@vue/compiler-sfc@3/dist/compiler-sfc.esm-browser.js';
+
+// Splits an SFC into its blocks. The template runs to the last </template>
+// that is followed only by other blocks, so nested <template #slot> tags are kept.
+function parseSfcBlocks(source) {
+  const blockAt = (match, offset = 0) => ({
+    attrs: match[1],
+    content: match[2],
+    line: lineAt(source, offset + match.index + match[0].indexOf('>') + 1) - 1
+  });
+  const templateMatch = source.match(/<template(\b[^>]*)>([\s\S]*)<\/template>\s*(?=<script\b|<style\b|$)/i);
+  const template = templateMatch ? blockAt(templateMatch) : null;
+
+  const templateEnd = templateMatch ? templateMatch.index + templateMatch[0].length : 0;
+  const outsideTemplate = templateMatch ? source.slice(templateEnd) : source;
+  const before = templateMatch ? source.slice(0, templateMatch.index) : '';
+  const scripts = [
+    ...[...before.matchAll(/<script(\b[^>]*)>([\s\S]*?)<\/script>/gi)].map(match => blockAt(match)),
+    ...[...outsideTemplate.matchAll(/<script(\b[^>]*)>([\s\S]*?)<\/script>/gi)].map(match => blockAt(match, templateEnd))
+  ];
+  return { template, scripts };
+}
+
+export function validateVue(code) {
+  const errors = [];
+  const { template, scripts } = parseSfcBlocks(code);
+  const setupScripts = scripts.filter(script => /\bsetup\b/.test(script.attrs));
+
+  if (!template) errors.push('Missing a top-level <template> block.');
+  if (setupScripts.length === 0) errors.push('Missing a <script setup> block.');
+  if (setupScripts.length > 1) errors.push('Only one <script setup> block is allowed.');
+
+  if (template) {
+    errors.push(...validateMarkup(template.content, { allowSelfClosing: true, lineOffset: template.line }));
+  }
+  for (const script of scripts) {
+    if (/\blang=["']?ts/.test(script.attrs)) continue;
+    errors.push(...validateScript(script.content, { lineOffset: script.line }));
+  }
+  return errors;
+}
+
+// Runs inside the iframe: compiles .vue files, injecting their (scoped) styles.
+const vueCompiler = `
+  const vueCompilerUrl = ${toScriptLiteral(VUE_COMPILER_URL)};
+  let vueCompiler = null;
+  let scopeCounter = 0;
+
+  async function compileFile(path, source) {
+    if (!path.endsWith('.vue')) return source;
+    vueCompiler = vueCompiler || await import(vueCompilerUrl);
+    const { parse, compileScript, compileTemplate, compileStyle } = vueCompiler;
+    const id = 'data-v-' + (++scopeCounter);
+    const { descriptor, errors } = parse(source, { filename: path });
+    if (errors.length) throw errors[0];
+    if (!descriptor.template) throw new Error('The component has no <template> block.');
+    const hasScoped = descriptor.styles.some((s) => s.scoped);
+    let compiled;
+    if (descriptor.script || descriptor.scriptSetup) {
+      compiled = compileScript(descriptor, { id, inlineTemplate: true, genDefaultAs: '_sfc_main' }).content;
+    } else {
+      const template = compileTemplate({ source: descriptor.template.content, filename: path, id, scoped: hasScoped });
+      if (template.errors.length) throw template.errors[0];
+      compiled = template.code.replace('export function render', 'function render') + '\\nconst _sfc_main = { render };';
+    }
+    if (hasScoped) compiled += '\\n_sfc_main.__scopeId = ' + JSON.stringify(id) + ';';
+    descriptor.styles.forEach((style) => {
+      const result = compileStyle({ source: style.content, filename: path, id, scoped: style.scoped });
+      if (result.errors.length) throw result.errors[0];
+      injectStyle(result.code, path);
+    });
+    return compiled + '\\nexport default _sfc_main;';
+  }`;
+
+export default {
+  id: 'vue',
+  label: 'Vue',
+  description: 'Vue single-file component',
+  editorLanguage: 'html',
+  fileExtensions: ['vue'],
+  entryFiles: ['App.vue'],
+  systemPrompt: `You are an expert Vue.js developer who builds elegant and efficient single-file components. Your task is to generate a complete single-file component (.vue) based on the user's request. Rules: 1. The component must be self-contained with <template>, <script setup>, and <style scoped> blocks. 2. Use the Composition API with <script setup>. 3. Use Tailwind CSS classes for all styling within the <template> block. 4. Your response must ONLY contain the raw code for the .vue file. Do not include explanations or markdown ticks. 5. Keep the code concise and under 3000 characters when possible.`,
+  projectSystemPrompt: `You are an expert Vue.js developer who builds elegant and efficient single-file components. Your task is to generate a small multi-file Vue 3 project based on the user's request. Rules: 1. The root component must be App.vue. 2. Put every other component in its own .vue file under components/ and import it with a relative path (e.g. import Header from './components/Header.vue'). 3. Every component uses <template>, <script setup> with the Composition API, and optionally <style scoped>; do not import any package other than 'vue'. 4. Use Tailwind CSS classes for all styling (assume Tailwind is already configured). 5. Do not create main.js, index.html or config files; they are provided.`,
+  output: {
+    fenceLanguages: ['vue', 'html'],
+    start: /^<(?:template|script|style)\b/im,
+    end: /<\/(?:template|script|style)>(?![\s\S]*<\/(?:template|script|style)>)/i,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  validate: validateVue,
+  validateFile: (path, content) => (path.endsWith('.vue') ? validateVue(content) : null),
+  buildPreview: (files, entry) => componentDocument({
+    files,
+    entry,
+    imports: { vue: VUE_URL },
+    compiler: vueCompiler,
+    mount: `
+      const { createApp } = await import('vue');
+      const app = createApp(Component);
+      app.config.errorHandler = (err) => window.__showPreviewError('Runtime error', err);
+      app.mount(root);`,
+  }),
+};
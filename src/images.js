@@ -0,0 +1,40 @@
+// --- Image Attachments ---
+// Mockups attached to a prompt are downscaled and stored on the user message
+// as JPEG data URLs, so they are saved with the chat in IndexedDB (see
+// storage.js) and go into share links and exports without extra files.
+
+export const MAX_IMAGE_DIMENSION = 1280;
+export const MAX_ATTACHED_IMAGES = 4;
+const JPEG_QUALITY = 0.82;
+
+/**
+ * Reads an image file and resolves to a JPEG data URL whose longest side is
+ * at most `maxDimension` pixels.
+ */
+export async function downscaleImage(file, maxDimension = MAX_IMAGE_DIMENSION) {
+  if (!file.type.startsWith('image/')) throw new Error(`"${file.name}" is not an image.`);
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error(`"${file.name || 'The image'}" could not be read.`);
+  }
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const context = canvas.getContext('2d');
+  // JPEG has no alpha channel: paint transparent areas white rather than black.
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+}
+
+/**
+ * The image files in a paste or drop event's DataTransfer.
+ */
+export function getImageFiles(dataTransfer) {
+  return Array.from(dataTransfer?.files || []).filter(file => file.type.startsWith('image/'));
+}
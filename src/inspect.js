@@ -0,0 +1,71 @@
+// --- Inspect Mode ---
+// While inspect mode is on, the preview outlines the element under the cursor
+// and, on click, reports it to the app instead of letting the page handle the
+// click. The app maps it back to a source range for targeted refinement.
+
+// Runs inside the iframe, after the preview bridge.
+const inspectRuntime = String.raw`
+(function () {
+  var bridge = window.__previewBridge;
+  var enabled = false;
+  var selected = null;
+
+  function createBox(color) {
+    var box = document.createElement('div');
+    box.setAttribute('data-preview-overlay', '');
+    box.style.cssText = 'position:fixed;pointer-events:none;z-index:2147483646;display:none;box-sizing:border-box;border-radius:2px;border:2px solid ' + color + ';background:' + color + '1f;';
+    document.documentElement.appendChild(box);
+    return box;
+  }
+  var hoverBox = createBox('#38bdf8');
+  var selectedBox = createBox('#f59e0b');
+
+  function place(box, el) {
+    if (!el || !el.isConnected) {
+      box.style.display = 'none';
+      return;
+    }
+    var rect = el.getBoundingClientRect();
+    box.style.display = 'block';
+    box.style.left = rect.left + 'px';
+    box.style.top = rect.top + 'px';
+    box.style.width = rect.width + 'px';
+    box.style.height = rect.height + 'px';
+  }
+
+  function isInspectable(el) {
+    return el && el.nodeType === 1 && el !== document.documentElement && el !== document.body && !el.closest('[data-preview-overlay], #__preview-error');
+  }
+
+  document.addEventListener('mouseover', function (event) {
+    if (enabled && isInspectable(event.target)) place(hoverBox, event.target);
+  }, true);
+
+  document.addEventListener('click', function (event) {
+    if (!enabled || !isInspectable(event.target)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    selected = event.target;
+    place(selectedBox, selected);
+    bridge.post('element-selected', { element: bridge.describe(selected) });
+  }, true);
+
+  // Keep the outline on the selected element as the page scrolls or resizes.
+  function follow() {
+    if (selected) place(selectedBox, selected);
+  }
+  window.addEventListener('scroll', follow, true);
+  window.addEventListener('resize', follow);
+
+  bridge.on('set-inspect', function (data) {
+    enabled = !!data.enabled;
+    document.documentElement.style.cursor = enabled ? 'crosshair' : '';
+    if (!enabled) place(hoverBox, null);
+  });
+  bridge.on('clear-selection', function () {
+    selected = null;
+    place(selectedBox, null);
+  });
+})();`;
+
+export const inspectScript = `<script>${inspectRuntime}</script>`;
@@ -0,0 +1,157 @@
+// --- Response Post-processing ---
+// Turns a raw model response into code: removes reasoning blocks, extracts
+// the code from markdown fences or surrounding prose, validates it for the
+// target framework and truncates it cleanly. Everything here is pure so it
+// can run on recorded responses outside the app.
+
+import { getFramework } from './frameworks';
+import { validateMarkup, validateScript } from './validation';
+import { isProjectOutput, parseProjectFiles, serializeProjectFiles, getProjectEntry } from './project';
+
+const REASONING_TAGS = ['think', 'thinking', 'reasoning'];
+
+/**
+ * Removes `<think>`-style reasoning blocks. An unterminated block at the
+ * start (the response was cut off, or is still streaming) removes everything.
+ */
+export function stripReasoning(text) {
+  let result = text;
+  for (const tag of REASONING_TAGS) {
+    result = result.replace(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'gi'), '');
+    const open = result.search(new RegExp(`<${tag}>`, 'i'));
+    if (open !== -1 && !result.slice(0, open).trim()) result = '';
+  }
+  return result.trim();
+}
+
+// A line reads like an explanation rather than code.
+function isProseLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return false;
+  if (/^(import|export|const|let|var|function|return|if|for|while|class|async|await)\b/.test(trimmed)) return false;
+  if (/[;{}()[\],<>=]$/.test(trimmed) || /^[<{}()[\]/]/.test(trimmed)) return false;
+  return /^(?:[A-Za-z*#>-]|\d+\.)/.test(trimmed) && trimmed.split(/\s+/).length >= 3;
+}
+
+// Drops leading and trailing paragraphs that are entirely prose.
+function trimProse(code) {
+  const paragraphs = code.split(/\n\s*\n/);
+  const isProse = (paragraph) => paragraph.split('\n').every(line => !line.trim() || isProseLine(line));
+  while (paragraphs.length > 1 && isProse(paragraphs[0])) paragraphs.shift();
+  while (paragraphs.length > 1 && isProse(paragraphs[paragraphs.length - 1])) paragraphs.pop();
+  return paragraphs.join('\n\n').trim();
+}
+
+/**
+ * Pulls the code out of a response: the fenced block in the framework's
+ * language (or the longest fenced block), otherwise the text between the
+ * first and last code-looking lines.
+ */
+export function extractCode(text, framework) {
+  const rules = getFramework(framework).output;
+  const blocks = [...text.matchAll(/```([\w+-]*)[^\n]*\n([\s\S]*?)(?:```|$)/g)]
+    .map(match => ({ language: match[1].toLowerCase(), code: match[2].trim() }))
+    .filter(block => block.code);
+
+  if (blocks.length) {
+    const matching = blocks.filter(block => rules.fenceLanguages.includes(block.language));
+    const candidates = matching.length ? matching : blocks;
+    return candidates.reduce((longest, block) => (block.code.length > longest.code.length ? block : longest)).code;
+  }
+
+  let code = text;
+  const start = code.search(rules.start);
+  if (start > 0) code = code.slice(start);
+  if (rules.end) {
+    const end = code.match(rules.end);
+    if (end) code = code.slice(0, end.index + end[0].length);
+  }
+  return trimProse(code);
+}
+
+/**
+ * Extracts a code fragment (part of a file, so without the framework's usual
+ * start and end markers) from a response.
+ */
+export function extractFragment(text) {
+  const cleaned = stripReasoning(text || '');
+  const blocks = [...cleaned.matchAll(/```[\w+-]*[^\n]*\n([\s\S]*?)(?:```|$)/g)].map(match => match[1].trim()).filter(Boolean);
+  if (blocks.length) return blocks.reduce((longest, block) => (block.length > longest.length ? block : longest));
+  return trimProse(cleaned);
+}
+
+function validateProjectFile(path, content, framework) {
+  const errors = getFramework(framework).validateFile?.(path, content);
+  if (errors) return errors;
+  if (/\.html?$/.test(path)) return validateMarkup(content, { allowSelfClosing: true });
+  if (/\.(jsx|js|mjs)$/.test(path)) return validateScript(content);
+  return [];
+}
+
+/**
+ * Cuts `code` at the last line break before `maxLength` and marks the cut
+ * with a comment in the file's language.
+ */
+export function truncateCode(code, framework, maxLength) {
+  if (code.length <= maxLength) return { code, truncated: false };
+  const cut = code.lastIndexOf('\n', maxLength);
+  const kept = code.slice(0, cut > 0 ? cut : maxLength);
+  return { code: `${kept}\n${getFramework(framework).output.comment('... (code truncated for performance)')}`, truncated: true };
+}
+
+function processProjectOutput(text, framework) {
+  let body = text.slice(text.search(/^<<<FILE\s/m));
+  const lastFooter = body.lastIndexOf('<<<END FILE>>>');
+  if (lastFooter !== -1) body = body.slice(0, lastFooter + '<<<END FILE>>>'.length);
+
+  const files = parseProjectFiles(body, framework);
+  const errors = [];
+  if (!getProjectEntry(files, framework)) {
+    errors.push(`The project has no entry file (${getFramework(framework).entryFiles[0]}).`);
+  }
+  for (const [path, content] of Object.entries(files)) {
+    errors.push(...validateProjectFile(path, content, framework).map(error => `${path}: ${error}`));
+  }
+  return { code: serializeProjectFiles(files), errors };
+}
+
+/**
+ * Runs the full pipeline on a raw response. Returns `{ code, errors, truncated }`;
+ * `errors` is empty when the code passed validation.
+ */
+export function processModelOutput(raw, { framework, multiFile = false, maxLength = 50000 }) {
+  const text = stripReasoning(raw || '');
+  if (!text) return { code: '', errors: ['The response contained no code.'], truncated: false };
+
+  if (multiFile) {
+    if (!isProjectOutput(text)) {
+      return { code: extractCode(text, framework), errors: ['The response is not in the <<<FILE path>>> multi-file format.'], truncated: false };
+    }
+    const { code, errors } = processProjectOutput(text, framework);
+    return { code, errors, truncated: false };
+  }
+
+  const extracted = extractCode(text, framework);
+  if (!extracted) return { code: '', errors: ['The response contained no code.'], truncated: false };
+  // The code that is kept is validated, so a cut that leaves tags or blocks open is reported.
+  const { code, truncated } = truncateCode(extracted, framework, maxLength);
+  const errors = getFramework(framework).validate(code);
+  if (truncated) errors.unshift(`The code is longer than ${maxLength} characters and was cut off; make it shorter.`);
+  return { code, errors, truncated };
+}
+
+/**
+ * Validates code that is already clean (e.g. after splicing in a refined
+ * fragment). Returns a list of problems.
+ */
+export function validateCode(code, { framework, multiFile = false }) {
+  return multiFile ? processProjectOutput(code, framework).errors : getFramework(framework).validate(code);
+}
+
+/**
+ * The follow-up prompt asking the model to fix the problems validation found.
+ */
+export function buildRepairPrompt(errors, { framework, multiFile = false }) {
+  const target = multiFile ? 'project' : getFramework(framework).description;
+  return `Your last response has problems that stop the ${target} from working:\n${errors.map(error => `- ${error}`).join('\n')}\nReturn the complete corrected code in the same format, with no explanations.`;
+}
@@ -0,0 +1,176 @@
+import { describe, expect, it } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { buildRepairPrompt, extractCode, processModelOutput, stripReasoning, truncateCode } from './output';
+
+// Raw responses as the models returned them, including reasoning and prose.
+const response = (name) => readFileSync(new URL(`./__fixtures__/responses/${name}.txt`, import.meta.url), 'utf8');
+
+describe('stripReasoning', () => {
+  it('removes a closed <think> block', () => {
+    const text = stripReasoning(response('html-reasoning-fenced'));
+    expect(text).not.toMatch(/<think>|gradient/);
+    expect(text.startsWith("Here's a professional hero section")).toBe(true);
+  });
+
+  it('removes everything while the reasoning is still open', () => {
+    expect(stripReasoning(response('reasoning-unterminated'))).toBe('');
+  });
+
+  it('handles the other reasoning tags, in any case', () => {
+    expect(stripReasoning('<THINKING>plan</THINKING>\n<reasoning>more</reasoning>\n<p>Hi</p>')).toBe('<p>Hi</p>');
+  });
+
+  it('keeps text without reasoning as it is', () => {
+    expect(stripReasoning('  <p>Hi</p>\n')).toBe('<p>Hi</p>');
+  });
+});
+
+describe('extractCode', () => {
+  it('takes the fenced block and drops the prose around it', () => {
+    const code = extractCode(stripReasoning(response('html-reasoning-fenced')), 'html');
+    expect(code.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(code.endsWith('</html>')).toBe(true);
+  });
+
+  it('prefers the block in the framework\'s language over a longer one', () => {
+    const text = '```bash\nnpm install some-package --save-dev && npm run dev\n```\n\n```html\n<p>Hi</p>\n```';
+    expect(extractCode(text, 'html')).toBe('<p>Hi</p>');
+  });
+
+  it('cuts unfenced markup out of the surrounding prose', () => {
+    const code = extractCode(response('html-unfenced-prose'), 'html');
+    expect(code.startsWith('<div class="max-w-sm')).toBe(true);
+    expect(code.endsWith('</div>')).toBe(true);
+  });
+
+  it('drops prose paragraphs around unfenced script code', () => {
+    const code = extractCode(response('react-helpers-unfenced'), 'react');
+    expect(code.startsWith('const FEATURES = [')).toBe(true);
+    expect(code.endsWith('}')).toBe(true);
+  });
+
+  it('keeps a code block whose closing fence never arrived', () => {
+    const code = extractCode(response('react-unterminated-stream'), 'react');
+    expect(code.startsWith('function TodoList() {')).toBe(true);
+    expect(code).not.toContain('```');
+  });
+
+  it('keeps a leading comment as part of the code', () => {
+    expect(extractCode(response('react-comment-first'), 'react').startsWith('// Pricing card component')).toBe(true);
+  });
+});
+
+describe('truncateCode', () => {
+  it('leaves code within the limit alone', () => {
+    expect(truncateCode('<p>Hi</p>', 'html', 100)).toEqual({ code: '<p>Hi</p>', truncated: false });
+  });
+
+  it('cuts at a line break and marks the cut in the file\'s language', () => {
+    const code = 'const a = 1;\nconst b = 2;\nconst c = 3;';
+    expect(truncateCode(code, 'react', 20)).toEqual({ code: 'const a = 1;\n// ... (code truncated for performance)', truncated: true });
+    expect(truncateCode('<p>1</p>\n<p>2</p>', 'html', 12).code).toBe('<p>1</p>\n<!-- ... (code truncated for performance) -->');
+  });
+});
+
+describe('processModelOutput', () => {
+  it('turns a response with reasoning, prose and a fence into valid HTML', () => {
+    const result = processModelOutput(response('html-reasoning-fenced'), { framework: 'html' });
+    expect(result.errors).toEqual([]);
+    expect(result.truncated).toBe(false);
+    expect(result.code).toMatch(/^<!DOCTYPE html>[\s\S]*<\/html>$/);
+  });
+
+  it('reports a response that is only unfinished reasoning', () => {
+    expect(processModelOutput(response('reasoning-unterminated'), { framework: 'html' }))
+      .toEqual({ code: '', errors: ['The response contained no code.'], truncated: false });
+  });
+
+  it('reports markup that a stream cut off', () => {
+    const { errors } = processModelOutput(response('html-unterminated-stream'), { framework: 'html' });
+    expect(errors).toContain('The markup ends in the middle of a tag (line 13); the output may be truncated.');
+    expect(errors).toContain('<main> on line 7 is never closed.');
+  });
+
+  it('reports a script that a stream cut off', () => {
+    const { errors } = processModelOutput(response('react-unterminated-stream'), { framework: 'react' });
+    expect(errors).toEqual(['Syntax error on line 6, column 37: Unterminated string constant.']);
+  });
+
+  it('validates the code that is kept after truncating it', () => {
+    const rows = Array.from({ length: 200 }, (_, i) => `  <p>Row ${i}</p>`).join('\n');
+    const result = processModelOutput(`<div>\n${rows}\n</div>`, { framework: 'html', maxLength: 1000 });
+    expect(result.truncated).toBe(true);
+    expect(result.code.length).toBeLessThan(1100);
+    expect(result.errors).toEqual([
+      'The code is longer than 1000 characters and was cut off; make it shorter.',
+      '<div> on line 1 is never closed.'
+    ]);
+  });
+
+  it('parses a multi-file project and ignores text after the last file', () => {
+    const result = processModelOutput(response('react-project'), { framework: 'react', multiFile: true });
+    expect(result.errors).toEqual([]);
+    expect(result.code).toContain('<<<FILE components/Header.jsx>>>');
+    expect(result.code).not.toContain('I split the header');
+  });
+
+  it('reports a multi-file response that is not in the file format', () => {
+    const { errors } = processModelOutput(response('react-comment-first'), { framework: 'react', multiFile: true });
+    expect(errors).toEqual(['The response is not in the <<<FILE path>>> multi-file format.']);
+  });
+
+  describe('validates each framework', () => {
+    it.each([
+      ['html', 'html-unfenced-prose'],
+      ['react', 'react-helpers-unfenced'],
+      ['react', 'react-comment-first'],
+      ['vue', 'vue-fenced'],
+      ['svelte', 'svelte-fenced'],
+      ['angular', 'angular-fenced'],
+      ['solid', 'solid-fenced'],
+      ['react-native', 'react-native-fenced'],
+    ])('accepts valid %s output (%s)', (framework, name) => {
+      const result = processModelOutput(response(name), { framework });
+      expect(result.errors).toEqual([]);
+      expect(result.code).not.toContain('```');
+    });
+
+    it('requires a <script setup> block in Vue', () => {
+      expect(processModelOutput(response('vue-missing-setup'), { framework: 'vue' }).errors).toEqual(['Missing a <script setup> block.']);
+    });
+
+    it('requires a component in React', () => {
+      expect(processModelOutput('const items = [1, 2, 3];', { framework: 'react' }).errors)
+        .toEqual(['No component found; the code must declare "function ComponentName() { ... }".']);
+    });
+
+    it('checks the markup of Svelte around its template expressions', () => {
+      expect(processModelOutput('<div>\n  {#if open}<p>{count}</p>{/if}\n', { framework: 'svelte' }).errors)
+        .toEqual(['<div> on line 1 is never closed.']);
+    });
+
+    it('requires an exported @Component class in Angular', () => {
+      expect(processModelOutput('```ts\nexport const value = 1;\n```', { framework: 'angular' }).errors).toEqual([
+        'No @Component decorator found.',
+        'The component class must be exported, e.g. "export class AppComponent { ... }".'
+      ]);
+    });
+
+    it('checks the inline template of an Angular component', () => {
+      const code = "import { Component } from '@angular/core';\n\n@Component({ selector: 'app-root', template: `<div><span>Hi</div>` })\nexport class AppComponent {}";
+      expect(processModelOutput(code, { framework: 'angular' }).errors).toEqual(['<span> on line 3 is not closed before </div> on line 3.']);
+    });
+  });
+});
+
+describe('buildRepairPrompt', () => {
+  it('lists the problems and names the target', () => {
+    const prompt = buildRepairPrompt(['<div> on line 5 is never closed.', 'Missing a <script setup> block.'], { framework: 'vue' });
+    expect(prompt).toContain('- <div> on line 5 is never closed.\n- Missing a <script setup> block.');
+    expect(prompt).toContain('Return the complete corrected code in the same format');
+  });
+
+  it('names the project in multi-file mode', () => {
+    expect(buildRepairPrompt(['App.jsx: Syntax error.'], { framework: 'react', multiFile: true })).toContain('stop the project from working');
+  });
+});
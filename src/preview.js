@@ -0,0 +1,105 @@
+// --- Live Preview Documents ---
+// Builds the `srcdoc` for the preview iframe. Each framework definition (see
+// frameworks/) renders its files; the sandbox policy and the bridge, console,
+// audit and inspect scripts are added to every document.
+
+import { parseProjectFiles, getProjectEntry } from './project';
+import { getFramework } from './frameworks';
+import { documentShell, toScriptLiteral } from './previewRuntime';
+import { bridgeScript } from './previewBridge';
+import { consoleScript } from './previewConsole';
+import { auditScript } from './audit';
+import { inspectScript } from './inspect';
+import { designSystemSnippet } from './designSystems';
+
+// --- Sandbox ---
+// The iframe is sandboxed without allow-same-origin, so generated code runs in
+// an opaque origin and can't reach the app or its storage. The CSP lets it load
+// scripts, styles and fonts over HTTPS (CDNs) and blocks every network request
+// from code, which the preview console reports.
+export const PREVIEW_SANDBOX = 'allow-scripts allow-forms allow-modals';
+
+const contentSecurityPolicy = [
+  "default-src 'none'",
+  "script-src 'unsafe-inline' 'unsafe-eval' blob: https:",
+  "style-src 'unsafe-inline' https:",
+  'font-src https: data:',
+  'img-src https: data: blob:',
+  'media-src https: data: blob:',
+  "connect-src 'none'",
+  "form-action 'none'",
+  "base-uri 'none'",
+].join('; ');
+
+// Web Storage throws in an opaque origin; generated code gets an in-memory stand-in instead.
+const storageScript = `
+<script>
+  (function () {
+    function memoryStorage() {
+      var items = new Map();
+      return {
+        get length() { return items.size; },
+        key: function (index) { var keys = Array.from(items.keys()); return index < keys.length ? keys[index] : null; },
+        getItem: function (key) { return items.has(String(key)) ? items.get(String(key)) : null; },
+        setItem: function (key, value) { items.set(String(key), String(value)); },
+        removeItem: function (key) { items.delete(String(key)); },
+        clear: function () { items.clear(); }
+      };
+    }
+    ['localStorage', 'sessionStorage'].forEach(function (name) {
+      try {
+        window[name].length;
+      } catch (e) {
+        Object.defineProperty(window, name, { value: memoryStorage(), configurable: true });
+      }
+    });
+  })();
+</script>`;
+
+const sandboxHead = `<meta http-equiv="Content-Security-Policy" content="${contentSecurityPolicy}">${storageScript}`;
+
+// Switches Tailwind to class-based dark mode and sets or clears the `dark`
+// class on the root element, so the preview toolbar decides which theme shows.
+const darkModeScript = (enabled) => `
+<script>
+  document.documentElement.classList.toggle('dark', ${enabled});
+  if (window.tailwind) window.tailwind.config = Object.assign({}, window.tailwind.config, { darkMode: 'class' });
+</script>`;
+
+export const appendToBody = (html, snippet) => (/<\/body>/i.test(html)
+  ? html.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${snippet}\n</body>`)
+  : html + snippet);
+
+// Inserts `snippet` at the start of the head, so it runs before any of the page's own scripts.
+function prependToHead(html, snippet) {
+  const opening = html.match(/<head\b[^>]*>/i) || html.match(/<html\b[^>]*>/i) || html.match(/<!DOCTYPE[^>]*>/i);
+  if (!opening) return snippet + html;
+  const end = opening.index + opening[0].length;
+  return `${html.slice(0, end)}\n${snippet}${html.slice(end)}`;
+}
+
+function buildDocument(code, framework) {
+  const definition = getFramework(framework);
+  const files = parseProjectFiles(code, framework);
+  if (!files) {
+    if (definition.buildFilePreview) return definition.buildFilePreview(code);
+    const [fileName] = definition.entryFiles;
+    return definition.buildPreview({ [fileName]: code }, fileName);
+  }
+  const entry = getProjectEntry(files, framework);
+  if (!entry) {
+    return documentShell('', `<script>window.__showPreviewError('No entry file found', ${toScriptLiteral(`The project needs ${definition.entryFiles[0]} to preview.`)});</script>`);
+  }
+  return definition.buildPreview(files, entry);
+}
+
+/**
+ * Returns the `srcdoc` that renders `code` (a single file, or multi-file
+ * project output) for the given framework, styled by `designSystem` if set.
+ */
+export function buildPreviewDocument(code, framework, { darkMode = false, designSystem = null } = {}) {
+  if (!code) return '';
+  const designScript = designSystem ? designSystemSnippet(designSystem) : '';
+  const html = prependToHead(buildDocument(code, framework), sandboxHead + bridgeScript + consoleScript);
+  return appendToBody(html, designScript + darkModeScript(darkMode) + auditScript + inspectScript);
+}
@@ -0,0 +1,68 @@
+// --- Preview Bridge ---
+// The preview iframe and the app talk through postMessage. Messages in both
+// directions are `{ source: PREVIEW_MESSAGE_SOURCE, type, ...data }`. Inside
+// the iframe, `window.__previewBridge` posts messages, dispatches incoming
+// ones to handlers, and describes elements so they can be found in the source
+// (see sourceLocator.js).
+
+export const PREVIEW_MESSAGE_SOURCE = 'ai-frontend-preview';
+
+// Runs inside the iframe.
+const bridgeRuntime = String.raw`
+(function () {
+  var MESSAGE_SOURCE = '__MESSAGE_SOURCE__';
+  var DESCRIBED_ATTRIBUTES = ['id', 'src', 'href', 'name', 'type', 'placeholder', 'for', 'alt', 'aria-label', 'role'];
+  var handlers = {};
+
+  window.__previewBridge = {
+    post: function (type, data) {
+      var message = Object.assign({ source: MESSAGE_SOURCE, type: type }, data);
+      parent.postMessage(message, '*');
+    },
+    on: function (type, handler) {
+      handlers[type] = handler;
+    },
+    describe: function (el) {
+      var attributes = {};
+      DESCRIBED_ATTRIBUTES.forEach(function (name) {
+        if (el.hasAttribute(name)) attributes[name] = el.getAttribute(name);
+      });
+      var className = el.getAttribute('class');
+      if (className) attributes['class'] = className.replace(/\s+/g, ' ').trim();
+      var tag = el.tagName.toLowerCase();
+      var html = el.outerHTML;
+      return {
+        tag: tag,
+        attributes: attributes,
+        text: (el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+        snippet: html.slice(0, html.indexOf('>') + 1).slice(0, 200),
+        index: Array.prototype.indexOf.call(document.getElementsByTagName(tag), el)
+      };
+    }
+  };
+
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+    if (event.source === parent && data && data.source === MESSAGE_SOURCE && handlers[data.type]) handlers[data.type](data);
+  });
+  window.addEventListener('DOMContentLoaded', function () {
+    window.__previewBridge.post('ready');
+  });
+})();`;
+
+// Must come before the other preview scripts, which use the bridge.
+export const bridgeScript = `<script>${bridgeRuntime.replace('__MESSAGE_SOURCE__', PREVIEW_MESSAGE_SOURCE)}</script>`;
+
+/**
+ * Whether a `message` event came from the preview iframe behind `iframeRef`.
+ */
+export function isPreviewMessage(event, iframeRef) {
+  return !!event.data && event.data.source === PREVIEW_MESSAGE_SOURCE && event.source === iframeRef.current?.contentWindow;
+}
+
+/**
+ * Sends a message to the preview iframe behind `iframeRef`, if it is mounted.
+ */
+export function postToPreview(iframeRef, type, data = {}) {
+  iframeRef.current?.contentWindow?.postMessage({ source: PREVIEW_MESSAGE_SOURCE, type, ...data }, '*');
+}
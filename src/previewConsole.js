@@ -0,0 +1,170 @@
+// --- Preview Console ---
+// Inside the preview, console output, uncaught errors, unhandled rejections
+// and network requests are forwarded to the app through the preview bridge as
+// `console` messages carrying `{ level, kind, text }`. The preview's CSP blocks
+// the requests themselves (see preview.js), so each one is reported as blocked.
+
+// Entries kept in the console panel; older ones are dropped.
+export const MAX_CONSOLE_ENTRIES = 300;
+const MAX_POSTED_ENTRIES = 500;
+const MAX_ENTRY_LENGTH = 2000;
+
+// Runs inside the iframe, before any generated script.
+const consoleRuntime = String.raw`
+(function () {
+  var bridge = window.__previewBridge;
+  var posted = 0;
+
+  function format(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) {
+      var summary = value.name + ': ' + value.message;
+      if (!value.stack) return summary;
+      return value.stack.indexOf(summary) === 0 ? value.stack : summary + '\n' + value.stack;
+    }
+    if (typeof value === 'function') return 'ƒ ' + (value.name || 'anonymous') + '()';
+    if (value instanceof Element) {
+      var html = value.outerHTML;
+      return html.slice(0, html.indexOf('>') + 1);
+    }
+    if (value && typeof value === 'object') {
+      try {
+        return JSON.stringify(value);
+      } catch (e) {
+        return Object.prototype.toString.call(value);
+      }
+    }
+    return String(value);
+  }
+
+  // Applies console format specifiers (%s, %d, %o, ...); %c styles are dropped.
+  function formatArgs(args) {
+    args = Array.prototype.slice.call(args);
+    if (typeof args[0] === 'string' && args.length > 1) {
+      var rest = args.slice(1);
+      var first = args[0].replace(/%[sdifoOc%]/g, function (spec) {
+        if (spec === '%%') return '%';
+        if (!rest.length) return spec;
+        var value = rest.shift();
+        if (spec === '%c') return '';
+        if (spec === '%d' || spec === '%i') return String(parseInt(value, 10));
+        if (spec === '%f') return String(parseFloat(value));
+        return format(value);
+      });
+      args = [first].concat(rest);
+    }
+    return args.map(format).join(' ');
+  }
+
+  function report(level, kind, text) {
+    if (posted > __MAX_POSTED__) return;
+    posted++;
+    if (posted > __MAX_POSTED__) {
+      level = 'warn';
+      kind = 'console';
+      text = 'Too many messages; the rest are not shown.';
+    }
+    bridge.post('console', { entry: { level: level, kind: kind, text: String(text).slice(0, __MAX_LENGTH__) } });
+  }
+
+  function reportRequest(api, method, url) {
+    report('warn', 'network', api + ' ' + String(method || 'GET').toUpperCase() + ' ' + url + ' (blocked by the preview sandbox)');
+  }
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(function (level) {
+    var original = console[level];
+    console[level] = function () {
+      report(level, 'console', formatArgs(arguments));
+      return original.apply(console, arguments);
+    };
+  });
+  var originalAssert = console.assert;
+  console.assert = function (condition) {
+    if (!condition) report('error', 'console', 'Assertion failed: ' + formatArgs(Array.prototype.slice.call(arguments, 1)));
+    return originalAssert.apply(console, arguments);
+  };
+
+  // Captured so that failed scripts, stylesheets and images are reported too.
+  window.addEventListener('error', function (event) {
+    var target = event.target;
+    if (target && target !== window && (target.src || target.href)) {
+      report('error', 'network', 'Failed to load ' + (target.src || target.href));
+      return;
+    }
+    report('error', 'error', 'Uncaught ' + (event.error ? format(event.error) : event.message));
+  }, true);
+  window.addEventListener('unhandledrejection', function (event) {
+    report('error', 'error', 'Uncaught (in promise) ' + format(event.reason));
+  });
+  document.addEventListener('securitypolicyviolation', function (event) {
+    // Blocked requests are already reported where they are made.
+    if (event.effectiveDirective === 'connect-src') return;
+    report('error', 'network', 'Blocked by the preview\'s Content Security Policy (' + event.effectiveDirective + '): ' + (event.blockedURI || 'inline'));
+  });
+
+  var originalFetch = window.fetch;
+  window.fetch = function (input, init) {
+    reportRequest('fetch', (init && init.method) || (input && input.method), input && input.url ? input.url : String(input));
+    return originalFetch.apply(this, arguments);
+  };
+  var originalOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    reportRequest('XMLHttpRequest', method, String(url));
+    return originalOpen.apply(this, arguments);
+  };
+  ['WebSocket', 'EventSource'].forEach(function (name) {
+    if (!window[name]) return;
+    window[name] = new Proxy(window[name], {
+      construct: function (target, args) {
+        reportRequest(name, 'GET', String(args[0]));
+        return Reflect.construct(target, args);
+      }
+    });
+  });
+  if (navigator.sendBeacon) {
+    var originalSendBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = function (url) {
+      reportRequest('sendBeacon', 'POST', String(url));
+      return originalSendBeacon.apply(navigator, arguments);
+    };
+  }
+
+  // Errors the preview catches itself (e.g. compile errors) are shown by its overlay and reported here.
+  window.__previewConsole = {
+    error: function (title, err) {
+      report('error', 'error', title + ': ' + format(err));
+    }
+  };
+})();`;
+
+// Must come after the bridge script and before any generated code.
+export const consoleScript = `<script>${consoleRuntime
+  .replace(/__MAX_POSTED__/g, MAX_POSTED_ENTRIES)
+  .replace('__MAX_LENGTH__', MAX_ENTRY_LENGTH)}</script>`;
+
+/**
+ * Adds `entry` to the console's `entries`, counting it against the last entry
+ * if it repeats that one, as browser devtools do.
+ */
+export function appendConsoleEntry(entries, entry) {
+  const last = entries[entries.length - 1];
+  if (last && last.level === entry.level && last.kind === entry.kind && last.text === entry.text) {
+    return [...entries.slice(0, -1), { ...last, count: last.count + 1 }];
+  }
+  return [...entries, { ...entry, count: 1 }].slice(-MAX_CONSOLE_ENTRIES);
+}
+
+/**
+ * The follow-up prompt asking the model to fix the errors in `entries`. Stack
+ * traces point into the preview document rather than the code, so only each
+ * error's first line is sent.
+ */
+export function buildConsoleFixPrompt(entries) {
+  const lines = entries
+    .filter(entry => entry.level === 'error')
+    .map(entry => `- ${entry.text.split('\n')[0].slice(0, 500)}${entry.count > 1 ? ` (${entry.count} times)` : ''}`);
+  const networkNote = entries.some(entry => entry.kind === 'network' && entry.level !== 'error')
+    ? '\nThe preview blocks network requests, so the page must also work without them.'
+    : '';
+  return `Running the page in the preview produced these errors:\n${lines.join('\n')}${networkNote}\nFix them without changing the design or behaviour, and return the complete updated code.`;
+}
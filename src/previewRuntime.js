@@ -0,0 +1,183 @@
+// --- Preview Runtime ---
+// The building blocks the framework definitions (see frameworks/) assemble
+// their preview documents from: the page shell, the error overlay, and a small
+// module loader that turns each project file into a blob URL and rewrites
+// relative imports to point at them. Component frameworks compile their files
+// inside the iframe and mount the entry's export into #root.
+
+export const CDN = {
+  tailwind: 'https://cdn.tailwindcss.com',
+  babel: 'https://unpkg.com/@babel/standalone@7/babel.min.js',
+};
+
+// Serialises a value for embedding inside an inline <script> without closing it early.
+export const toScriptLiteral = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// Overlay shown for compile errors, uncaught errors and unhandled rejections.
+// Errors shown through __showPreviewError never reach the window's error
+// events, so they are also reported to the preview console.
+export const errorOverlayScript = `
+<script>
+  (function () {
+    function showOverlay(title, err) {
+      var overlay = document.getElementById('__preview-error');
+      if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = '__preview-error';
+        overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;background:rgba(15,23,42,0.92);color:#fecaca;font:13px/1.5 ui-monospace,monospace;padding:1.5rem;overflow:auto;white-space:pre-wrap;';
+        document.body.appendChild(overlay);
+      }
+      var message = err && (err.stack || err.message) ? (err.stack || err.message) : String(err);
+      overlay.textContent = '';
+      var heading = document.createElement('div');
+      heading.style.cssText = 'color:#f87171;font-weight:bold;font-size:15px;margin-bottom:0.75rem;';
+      heading.textContent = title;
+      var body = document.createElement('div');
+      body.textContent = message;
+      overlay.appendChild(heading);
+      overlay.appendChild(body);
+    }
+    window.__showPreviewError = function (title, err) {
+      if (window.__previewConsole) window.__previewConsole.error(title, err);
+      showOverlay(title, err);
+    };
+    window.addEventListener('error', function (e) { showOverlay('Runtime error', e.error || e.message); });
+    window.addEventListener('unhandledrejection', function (e) { showOverlay('Unhandled promise rejection', e.reason); });
+  })();
+</script>`;
+
+// Used when a framework's files need no compiling (plain ES modules).
+const passThroughCompiler = `
+  async function compileFile(path, source) {
+    return source;
+  }`;
+
+// Runs inside the iframe with `files` and the framework's `compileFile(path, source)`
+// in scope. In-iframe scripts that contain regular expressions are written with
+// String.raw, like this one, so the backslashes reach the iframe intact.
+const moduleLoaderScript = String.raw`
+  const moduleUrls = {};
+  const IMPORT_PATTERN = /(\bfrom\s*|\bimport\s*\(?\s*)(['"])(\.{1,2}\/[^'"]+)\2/g;
+  const EXTENSIONS = ['.jsx', '.js', '.tsx', '.ts', '.vue', '.svelte', '.css'];
+
+  function resolveImport(fromPath, specifier) {
+    const parts = fromPath.split('/').slice(0, -1);
+    for (const part of specifier.split('/')) {
+      if (part === '.' || part === '') continue;
+      if (part === '..') parts.pop(); else parts.push(part);
+    }
+    const path = parts.join('/');
+    const candidates = [path, ...EXTENSIONS.map((extension) => path + extension), path + '/index.jsx', path + '/index.js', path + '/index.ts'];
+    return candidates.find((candidate) => candidate in files) || null;
+  }
+
+  function injectStyle(css, path) {
+    const el = document.createElement('style');
+    el.dataset.file = path;
+    el.textContent = css;
+    document.head.appendChild(el);
+  }
+
+  // Compiles a file and its local imports (depth first) and returns its blob URL.
+  async function loadModule(path, importers = []) {
+    if (moduleUrls[path]) return moduleUrls[path];
+    if (importers.includes(path)) throw new Error('Circular import: ' + importers.concat(path).join(' -> '));
+    let code = '';
+    if (path.endsWith('.css')) {
+      injectStyle(files[path], path);
+    } else {
+      try {
+        code = await compileFile(path, files[path]);
+      } catch (err) {
+        err.message = path + ': ' + err.message;
+        throw err;
+      }
+      const targets = {};
+      for (const match of code.matchAll(IMPORT_PATTERN)) {
+        const specifier = match[3];
+        if (specifier in targets) continue;
+        const target = resolveImport(path, specifier);
+        if (!target) throw new Error('Cannot resolve "' + specifier + '" imported from ' + path);
+        targets[specifier] = await loadModule(target, importers.concat(path));
+      }
+      code = code.replace(IMPORT_PATTERN, (all, prefix, quote, specifier) => prefix + quote + targets[specifier] + quote);
+    }
+    moduleUrls[path] = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+    return moduleUrls[path];
+  }
+
+  window.__loadProjectModule = loadModule;`;
+
+/**
+ * The module loader for `files`. `compiler` is in-iframe source declaring
+ * `async function compileFile(path, source)`, which returns the file as an
+ * ES module; it may call `injectStyle(css, path)`.
+ */
+export const moduleRuntime = (files, compiler = passThroughCompiler) => `
+<script type="module">
+  const files = ${toScriptLiteral(files)};
+  ${compiler}
+  ${moduleLoaderScript}
+</script>`;
+
+export const documentShell = (head, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+${errorOverlayScript}
+<script src="${CDN.tailwind}"></script>
+${head}
+</head>
+<body>
+<div id="root"></div>
+${body}
+</body>
+</html>`;
+
+// Loads the entry and runs `mount` with its component (the default export, or
+// else the first exported function or class) as `Component` and #root as `root`.
+function mountScript(entry, mount) {
+  return `
+<script type="module">
+  (async () => {
+    let entryUrl;
+    try {
+      entryUrl = await window.__loadProjectModule(${toScriptLiteral(entry)});
+    } catch (err) {
+      window.__showPreviewError('Compile error', err);
+      return;
+    }
+    try {
+      const exports = await import(entryUrl);
+      const Component = exports.default || Object.values(exports).find((value) => typeof value === 'function');
+      if (!Component) throw new Error(${toScriptLiteral(`No component found: ${entry} should export one, e.g. by default.`)});
+      const root = document.getElementById('root');
+      ${mount}
+    } catch (err) {
+      window.__showPreviewError('Runtime error', err);
+    }
+  })();
+</script>`;
+}
+
+/**
+ * The document for a component framework: `imports` is the import map for its
+ * packages, `head` any extra scripts (e.g. a compiler), `compiler` and `mount`
+ * the in-iframe code described at `moduleRuntime` and `mountScript`.
+ */
+export function componentDocument({ files, entry, imports, head = '', compiler, mount }) {
+  return documentShell(`${head}
+<script type="importmap">${JSON.stringify({ imports })}</script>
+${moduleRuntime(files, compiler)}`, mountScript(entry, mount));
+}
+
+// In-iframe `compileFile` that runs Babel (loaded from CDN.babel) with `options`
+// on files matching `pattern` and passes every other file through. `setup` is
+// in-iframe code run before each of those files is compiled.
+export const babelCompiler = (pattern, options, setup = '') => `
+  async function compileFile(path, source) {
+    if (!${pattern}.test(path)) return source;
+    ${setup}
+    return Babel.transform(source, { ...${JSON.stringify(options)}, sourceType: 'module', filename: path }).code;
+  }`;
@@ -0,0 +1,100 @@
+// --- Multi-file Projects ---
+// In multi-file mode the model answers with several files, each wrapped in
+// `<<<FILE path>>>` ... `<<<END FILE>>>` markers. The marked-up text is what
+// gets stored in the chat history; it is parsed into a `{ path: content }`
+// map whenever the files are needed.
+
+import { getFramework } from './frameworks';
+
+const FILE_HEADER = /^<<<FILE\s+(.+?)\s*>>>[ \t]*$/gm;
+const FILE_FOOTER = /^<<<END FILE>>>[ \t]*$/m;
+
+const formatRules = `Output format: return every file wrapped exactly like this, one after another, with nothing before, between or after them:
+<<<FILE path/to/file.ext>>>
+...file contents...
+<<<END FILE>>>
+Use relative paths without a leading slash. Do not use markdown ticks and do not add explanations.`;
+
+/**
+ * The multi-file system prompt for `framework`: its instructions plus the file format.
+ */
+export function getProjectSystemPrompt(framework) {
+  return `${getFramework(framework).projectSystemPrompt}\n\n${formatRules}`;
+}
+
+const languagesByExtension = {
+  html: 'html',
+  htm: 'html',
+  vue: 'html',
+  svelte: 'html',
+  css: 'css',
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  json: 'json',
+  md: 'markdown',
+  svg: 'xml',
+};
+
+export function getFileLanguage(path) {
+  const extension = path.split('.').pop().toLowerCase();
+  return languagesByExtension[extension] || 'plaintext';
+}
+
+export function isProjectOutput(text) {
+  return typeof text === 'string' && /^<<<FILE\s+\S/m.test(text);
+}
+
+// Normalises model-provided paths: no leading `./` or `/`, and no `src/` prefix
+// for component frameworks since the exported scaffold puts everything under src/.
+export function normalizeFilePath(path, framework) {
+  let normalized = path.trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+  if (framework !== 'html') normalized = normalized.replace(/^src\//, '');
+  return normalized;
+}
+
+// Models sometimes wrap a file in markdown fences even when told not to.
+function stripFileFences(content) {
+  const fenced = content.match(/^\s*```[\w-]*\n([\s\S]*?)\n?```\s*$/);
+  return fenced ? fenced[1] : content;
+}
+
+/**
+ * Parses marked-up multi-file output into an ordered `{ path: content }` map,
+ * or returns null when `text` is not multi-file output. A final file without
+ * its END marker (e.g. while streaming) runs to the end of the text.
+ */
+export function parseProjectFiles(text, framework) {
+  if (!isProjectOutput(text)) return null;
+  const headers = [...text.matchAll(FILE_HEADER)];
+  const files = {};
+  headers.forEach((header, i) => {
+    const start = header.index + header[0].length + 1;
+    const end = i + 1 < headers.length ? headers[i + 1].index : text.length;
+    let content = text.slice(start, end);
+    const footer = content.match(FILE_FOOTER);
+    if (footer) content = content.slice(0, footer.index);
+    const path = normalizeFilePath(header[1], framework);
+    if (path) files[path] = stripFileFences(content).replace(/\n$/, '');
+  });
+  return files;
+}
+
+export function serializeProjectFiles(files) {
+  return Object.entries(files)
+    .map(([path, content]) => `<<<FILE ${path}>>>\n${content}\n<<<END FILE>>>`)
+    .join('\n');
+}
+
+/**
+ * Picks the file the preview renders: the conventional entry for the
+ * framework, otherwise the first file of the right type.
+ */
+export function getProjectEntry(files, framework) {
+  const { entryFiles, fileExtensions } = getFramework(framework);
+  const conventional = entryFiles.find(p => p in files);
+  if (conventional) return conventional;
+  return Object.keys(files).find(p => fileExtensions.includes(p.split('.').pop())) || null;
+}
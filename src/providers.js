@@ -0,0 +1,146 @@
+// --- Model Providers ---
+// Every provider speaks the OpenAI-compatible `/chat/completions` API, so a
+// provider is just a base URL, an optional API key and a default model.
+
+import { DEFAULT_BUDGETS } from './usage';
+
+const SETTINGS_STORAGE_KEY = 'ai-frontend-settings';
+
+export const providerPresets = {
+  openrouter: {
+    name: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    defaultModel: 'deepseek/deepseek-r1-0528-qwen3-8b:free',
+    requiresKey: true
+  },
+  ollama: {
+    name: 'Ollama (local)',
+    baseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'qwen2.5-coder:7b',
+    requiresKey: false
+  },
+  llamacpp: {
+    name: 'llama.cpp server (local)',
+    baseUrl: 'http://localhost:8080/v1',
+    defaultModel: 'local-model',
+    requiresKey: false
+  },
+  custom: {
+    name: 'Custom (OpenAI-compatible)',
+    baseUrl: '',
+    defaultModel: '',
+    requiresKey: false
+  }
+};
+
+export const DEFAULT_PROVIDER_ID = 'openrouter';
+
+export function getDefaultSettings() {
+  const providers = {};
+  for (const [id, preset] of Object.entries(providerPresets)) {
+    providers[id] = { baseUrl: preset.baseUrl, apiKey: '', model: preset.defaultModel };
+  }
+  return {
+    providerId: DEFAULT_PROVIDER_ID,
+    maxTokens: 2000,
+    maxRepairAttempts: 2,
+    maxContinuations: 2,
+    editContext: 'full',
+    contextMode: 'compact',
+    contextWindow: 8192,
+    budgets: DEFAULT_BUDGETS,
+    // Models that compare mode runs alongside the chat's own, as `{ providerId, model }`.
+    compareModels: [],
+    providers
+  };
+}
+
+/**
+ * Reads the saved settings, filling in anything missing from the defaults so
+ * that presets added later show up for existing users.
+ */
+export function loadSettings() {
+  const defaults = getDefaultSettings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+    if (!saved) return defaults;
+    const providers = { ...defaults.providers };
+    for (const [id, config] of Object.entries(saved.providers || {})) {
+      if (providers[id]) providers[id] = { ...providers[id], ...config };
+    }
+    return {
+      ...defaults,
+      ...saved,
+      budgets: { ...defaults.budgets, ...saved.budgets },
+      providerId: providers[saved.providerId] ? saved.providerId : defaults.providerId,
+      providers
+    };
+  } catch (e) {
+    console.error('Failed to load settings:', e);
+    return defaults;
+  }
+}
+
+export function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function getProviderName(providerId) {
+  return providerPresets[providerId]?.name || providerId;
+}
+
+/**
+ * The models compare mode sends a request to: `current` first, then the
+ * configured `compareModels`, each provider and model once.
+ */
+export function getComparisonModels(current, compareModels = []) {
+  const seen = new Set();
+  return [current, ...compareModels].filter(({ providerId, model }) => {
+    const key = `${providerId}\n${model}`;
+    if (!providerPresets[providerId] || !model || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// A key entered at runtime wins over the one baked in at build time.
+export function getApiKey(settings, providerId) {
+  const key = settings.providers[providerId]?.apiKey;
+  if (key) return key;
+  if (providerId === 'openrouter') return import.meta.env.VITE_OPENROUTER_API_KEY || '';
+  return '';
+}
+
+/**
+ * Builds the `{ url, headers, payload }` for a chat completion request, or
+ * throws if the provider is not usable yet.
+ */
+export function buildCompletionRequest({ settings, providerId, model, messages }) {
+  const preset = providerPresets[providerId];
+  const config = settings.providers[providerId];
+  if (!preset || !config) throw new Error(`Unknown provider: ${providerId}`);
+
+  const baseUrl = (config.baseUrl || '').trim().replace(/\/+$/, '');
+  if (!baseUrl) throw new Error(`No base URL is configured for ${preset.name}. Set one in Settings.`);
+  if (!model) throw new Error('Please choose a model!');
+
+  const apiKey = getApiKey(settings, providerId);
+  if (preset.requiresKey && !apiKey) throw new Error(`No API key is configured for ${preset.name}. Add one in Settings.`);
+
+  const headers = {};
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+  if (providerId === 'openrouter') {
+    headers['HTTP-Referer'] = window.location.href;
+    headers['X-Title'] = 'AI Frontend Generator';
+  }
+
+  return {
+    url: `${baseUrl}/chat/completions`,
+    headers,
+    payload: {
+      model,
+      messages,
+      max_tokens: settings.maxTokens // Limit token generation to prevent crashes
+    }
+  };
+}
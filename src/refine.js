@@ -0,0 +1,48 @@
+// --- Targeted Refinement ---
+// Refines one element selected in the preview: only that fragment and some of
+// the code around it are sent to the model, and the replacement it returns is
+// spliced back in place of the fragment.
+
+import { getFramework } from './frameworks';
+
+// Characters of context sent on each side of the fragment.
+const CONTEXT_CHARS = 1500;
+const FRAGMENT_MARKER = '<<<FRAGMENT>>>';
+
+const refineSystemPrompt = (framework) => `You are an expert frontend developer editing one fragment of a larger ${getFramework(framework).description}. You get an excerpt of the file with ${FRAGMENT_MARKER} marking where the fragment sits, the fragment itself, and a change request. Rules: 1. Return ONLY the code that replaces the fragment, with no explanations or markdown ticks. 2. The replacement must fit exactly where the fragment was; do not repeat the surrounding code. 3. Keep everything the request does not ask to change, including ids, event handlers and bindings. 4. Only use variables, components and imports that already exist in the file.`;
+
+/**
+ * Builds the messages for refining `code.slice(start, end)` as asked by `instruction`.
+ */
+export function buildRefineMessages({ framework, code, start, end, instruction, path = null }) {
+  const contextStart = Math.max(0, start - CONTEXT_CHARS);
+  const contextEnd = Math.min(code.length, end + CONTEXT_CHARS);
+  const excerpt = `${contextStart > 0 ? '...\n' : ''}${code.slice(contextStart, start)}${FRAGMENT_MARKER}${code.slice(end, contextEnd)}${contextEnd < code.length ? '\n...' : ''}`;
+  const content = [
+    `File${path ? ` ${path}` : ''}:\n${excerpt}`,
+    `Fragment:\n${code.slice(start, end)}`,
+    `Change request: ${instruction}`
+  ].join('\n\n');
+  return [
+    { role: 'system', content: refineSystemPrompt(framework) },
+    { role: 'user', content }
+  ];
+}
+
+// Re-indents a replacement to the column the fragment started at: the first
+// line continues the existing line, later lines keep their relative indentation.
+function reindent(replacement, indent) {
+  const lines = replacement.split('\n');
+  const common = Math.min(...lines.slice(1).filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length));
+  if (!Number.isFinite(common)) return replacement;
+  return [lines[0], ...lines.slice(1).map(line => (line.trim() ? indent + line.slice(common) : line))].join('\n');
+}
+
+/**
+ * Replaces `code.slice(start, end)` with `replacement`.
+ */
+export function spliceFragment(code, start, end, replacement) {
+  const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+  const indent = code.slice(lineStart, start).match(/^[ \t]*/)[0];
+  return code.slice(0, start) + reindent(replacement.trim(), indent) + code.slice(end);
+}
@@ -0,0 +1,126 @@
+// --- Share Links ---
+// A share payload carries everything needed to reopen a generation elsewhere:
+//   { v, framework, title, code | files, history? }
+// It is either compressed into the URL (`#/share/...`) or uploaded to a paste
+// service (see server/paste-server.js) and referenced by id (`#/s/<id>`).
+// The paste service is set at build time with VITE_SHARE_SERVICE_URL; links
+// never name one, so opening a link cannot make the app fetch another URL.
+// Links from before payloads were versioned hold just the compressed code.
+
+import { compressToEncodedURIComponent, decompressFromEncodedURIComponent } from 'lz-string';
+import { parseProjectFiles, serializeProjectFiles } from './project';
+import { DEFAULT_FRAMEWORK, isFramework } from './frameworks';
+import { sanitizeHistory } from './chats';
+
+export const SHARE_PAYLOAD_VERSION = 2;
+const SHARE_PREFIX = '#/share/';
+const SHORT_LINK_PREFIX = '#/s/';
+export const SHARE_SERVICE_URL = (import.meta.env.VITE_SHARE_SERVICE_URL || '').replace(/\/+$/, '');
+
+/**
+ * Builds a payload for `code`. With `history`, the chat's prompts and versions
+ * are included, keeping only what is needed to continue the conversation.
+ */
+export function buildSharePayload({ code, framework, title, history = null }) {
+  const files = parseProjectFiles(code, framework);
+  const payload = { v: SHARE_PAYLOAD_VERSION, framework, title: title || '' };
+  if (files) payload.files = files;
+  else payload.code = code;
+  if (history) {
+    payload.history = history.map(({ role, content, images, source, createdAt }) => ({ role, content, images, source, createdAt }));
+  }
+  return payload;
+}
+
+/**
+ * The code a payload shares, with project files serialized back into one string.
+ */
+export function getSharedCode(payload) {
+  return payload.files ? serializeProjectFiles(payload.files) : payload.code;
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Link contents are untrusted: only a string `code` or an object of string
+// `files` is used, and malformed history messages are left out.
+function normalizePayload(data) {
+  if (typeof data === 'string') return { v: 1, framework: 'html', title: '', code: data };
+  if (!isPlainObject(data)) throw new Error('The share link is invalid.');
+  const files = isPlainObject(data.files) && Object.values(data.files).every(content => typeof content === 'string') ? data.files : null;
+  const code = typeof data.code === 'string' && data.code ? data.code : null;
+  if (!files && !code) throw new Error('The share link is invalid.');
+  if (data.v > SHARE_PAYLOAD_VERSION) {
+    throw new Error('The share link was created by a newer version of the app.');
+  }
+  return {
+    v: data.v,
+    framework: isFramework(data.framework) ? data.framework : DEFAULT_FRAMEWORK,
+    title: typeof data.title === 'string' ? data.title : '',
+    ...(files ? { files } : { code }),
+    history: Array.isArray(data.history) ? sanitizeHistory(data.history) : null
+  };
+}
+
+function decodePayload(encoded) {
+  const text = decompressFromEncodedURIComponent(encoded);
+  if (!text) throw new Error('The share link is invalid.');
+  try {
+    return normalizePayload(JSON.parse(text));
+  } catch (e) {
+    // Unversioned links are plain code, which is rarely valid JSON.
+    if (e instanceof SyntaxError) return normalizePayload(text);
+    throw e;
+  }
+}
+
+/**
+ * Builds a link that carries the payload in its hash. Attached images are
+ * dropped to keep the URL usable.
+ */
+export function createShareUrl(payload) {
+  const history = payload.history?.map(message => ({ ...message, images: undefined }));
+  const encoded = compressToEncodedURIComponent(JSON.stringify({ ...payload, history }));
+  return `${window.location.origin}${window.location.pathname}${SHARE_PREFIX}${encoded}`;
+}
+
+/**
+ * Uploads the payload to the paste service and returns a short link to it.
+ */
+export async function createShortLink(payload) {
+  if (!SHARE_SERVICE_URL) throw new Error('No share service is configured.');
+  let response;
+  try {
+    response = await fetch(`${SHARE_SERVICE_URL}/pastes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+  } catch {
+    throw new Error(`Could not reach the share service at ${SHARE_SERVICE_URL}.`);
+  }
+  if (!response.ok) throw new Error(`The share service returned status ${response.status}.`);
+  const { id } = await response.json();
+  return `${window.location.origin}${window.location.pathname}${SHORT_LINK_PREFIX}${id}`;
+}
+
+/**
+ * Whether `hash` is a share link of either kind.
+ */
+export function isShareHash(hash) {
+  return hash.startsWith(SHARE_PREFIX) || hash.startsWith(SHORT_LINK_PREFIX);
+}
+
+/**
+ * Resolves a share link's hash to its payload. Short links are fetched from
+ * the configured share service; a `?service=` left on older links is ignored.
+ */
+export async function loadSharedPayload(hash) {
+  if (hash.startsWith(SHARE_PREFIX)) return decodePayload(hash.substring(SHARE_PREFIX.length));
+
+  const [id] = hash.substring(SHORT_LINK_PREFIX.length).split('?');
+  if (!SHARE_SERVICE_URL) throw new Error('No share service is configured to open this link.');
+  const response = await fetch(`${SHARE_SERVICE_URL}/pastes/${encodeURIComponent(id)}`);
+  if (response.status === 404) throw new Error('This shared page no longer exists.');
+  if (!response.ok) throw new Error(`The share service returned status ${response.status}.`);
+  return normalizePayload(await response.json());
+}
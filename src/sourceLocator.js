@@ -0,0 +1,137 @@
+// --- Source Locator ---
+// Maps an element rendered in the preview back to the opening tag that most
+// likely produced it in the generated source (HTML, JSX or Vue templates).
+
+/**
+ * Returns the index just past the `>` that closes the opening tag starting at
+ * `start`, skipping quoted attribute values and JSX `{...}` expressions.
+ */
+export function findOpeningTagEnd(code, start) {
+  let quote = null;
+  let depth = 0;
+  for (let i = start + 1; i < code.length; i++) {
+    const char = code[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || (char === '`' && depth > 0)) {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === '>' && depth === 0) {
+      return i + 1;
+    } else if (char === '<' && depth === 0) {
+      return i;
+    }
+  }
+  return code.length;
+}
+
+export function getLineNumber(code, offset) {
+  let line = 1;
+  for (let i = 0; i < offset && i < code.length; i++) {
+    if (code[i] === '\n') line++;
+  }
+  return line;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function scoreTag(tagSource, following, element) {
+  let score = 0;
+  for (const [name, value] of Object.entries(element.attributes)) {
+    if (name === 'class') {
+      const match = tagSource.match(/\bclass(?:Name)?\s*=\s*(?:"([^"]*)"|'([^']*)'|\{\s*[`'"]([^`'"]*))/);
+      if (!match) continue;
+      const sourceClasses = new Set((match[1] ?? match[2] ?? match[3]).split(/\s+/).filter(Boolean));
+      const classes = value.split(' ');
+      score += 4 * classes.filter(cls => sourceClasses.has(cls)).length / classes.length;
+    } else if (value) {
+      const attributeName = name === 'for' ? '(?:for|htmlFor)' : escapeRegExp(name);
+      if (!new RegExp(`[\\s:@]${attributeName}\\s*=\\s*\\{?\\s*["'\`]${escapeRegExp(value)}["'\`]`).test(tagSource)) continue;
+      score += 3;
+    }
+  }
+  if (element.text && following.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').includes(element.text.slice(0, 40))) {
+    score += 2;
+  }
+  return score;
+}
+
+/**
+ * Finds the opening tag in `code` that best matches an element description
+ * `{ tag, attributes, text, index }` reported by the preview. Returns
+ * `{ start, end, line, score }` for the opening tag, or null when the tag does
+ * not appear at all.
+ */
+export function locateElement(code, element) {
+  const pattern = new RegExp(`<${escapeRegExp(element.tag)}(?=[\\s/>])`, 'gi');
+  let best = null;
+  let ordinal = 0;
+  for (const match of code.matchAll(pattern)) {
+    const start = match.index;
+    const end = findOpeningTagEnd(code, start);
+    // Same score: prefer the occurrence whose position matches the element's index in the DOM.
+    const score = scoreTag(code.slice(start, end), code.slice(end, end + 300), element) + (ordinal === element.index ? 0.5 : 0);
+    if (!best || score > best.score) best = { start, end, score };
+    ordinal++;
+  }
+  return best && { ...best, line: getLineNumber(code, best.start) };
+}
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * Returns the index just past the closing tag of the element whose opening
+ * tag spans `openStart`..`openEnd`, counting nested elements with the same
+ * tag. Void and self-closing elements end with their opening tag, as do
+ * elements that are never closed.
+ */
+export function findElementEnd(code, tag, openStart, openEnd) {
+  const isSelfClosing = (start, end) => /\/\s*>$/.test(code.slice(start, end));
+  if (VOID_ELEMENTS.has(tag.toLowerCase()) || isSelfClosing(openStart, openEnd)) return openEnd;
+  const pattern = new RegExp(`<(/?)${escapeRegExp(tag)}(?=[\\s/>])`, 'gi');
+  pattern.lastIndex = openEnd;
+  let depth = 1;
+  let match;
+  while ((match = pattern.exec(code))) {
+    if (match[1]) {
+      depth--;
+      if (depth === 0) {
+        const close = code.indexOf('>', match.index);
+        return close === -1 ? code.length : close + 1;
+      }
+    } else {
+      const end = findOpeningTagEnd(code, match.index);
+      if (!isSelfClosing(match.index, end)) depth++;
+      pattern.lastIndex = end;
+    }
+  }
+  return openEnd;
+}
+
+/**
+ * Like `locateElement`, but `end` is the end of the whole element (through
+ * its closing tag) and `endLine` the line it ends on.
+ */
+export function locateElementRange(code, element) {
+  const location = locateElement(code, element);
+  if (!location) return null;
+  const end = findElementEnd(code, element.tag, location.start, location.end);
+  return { ...location, end, endLine: getLineNumber(code, end) };
+}
+
+/**
+ * Searches every file of a project with `locate` (`locateElement` or
+ * `locateElementRange`). Returns the best match with its `path`.
+ */
+export function locateElementInFiles(files, element, locate = locateElement) {
+  let best = null;
+  for (const [path, content] of Object.entries(files)) {
+    if (!/\.(html?|jsx|tsx|js|ts|vue|svelte)$/.test(path)) continue;
+    const location = locate(content, element);
+    if (location && (!best || location.score > best.score)) best = { ...location, path };
+  }
+  return best;
+}
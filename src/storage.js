@@ -0,0 +1,131 @@
+// --- Chat Library Storage ---
+// Chats and folders live in IndexedDB, one record per chat, so a change only
+// rewrites the chats it touched. Libraries saved by older versions under the
+// `ai-frontend-chats` localStorage key are moved over on first load. The usage
+// log (see usage.js) is kept in the same database.
+
+import { sanitizeHistory } from './chats';
+
+const DB_NAME = 'ai-frontend-generator';
+const DB_VERSION = 2;
+const LEGACY_CHATS_KEY = 'ai-frontend-chats';
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('chats')) db.createObjectStore('chats', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('folders')) db.createObjectStore('folders', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('usage')) db.createObjectStore('usage', { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+  return databasePromise;
+}
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('The storage transaction was aborted.'));
+});
+
+async function migrateLegacyChats(db) {
+  const saved = localStorage.getItem(LEGACY_CHATS_KEY);
+  if (!saved) return;
+  let chats;
+  try {
+    chats = JSON.parse(saved);
+  } catch (e) {
+    console.error("Failed to parse saved chats:", e);
+    return;
+  }
+  if (!Array.isArray(chats)) {
+    console.error("Saved chats are not a list; skipping them.");
+    return;
+  }
+  const transaction = db.transaction('chats', 'readwrite');
+  const store = transaction.objectStore('chats');
+  // The old list was newest first; keep that order.
+  const now = Date.now();
+  chats
+    .filter(chat => chat && typeof chat.id === 'string' && Array.isArray(chat.history))
+    .forEach((chat, index) => store.put({ ...chat, history: sanitizeHistory(chat.history), createdAt: chat.createdAt ?? now - index }));
+  await transactionDone(transaction);
+  localStorage.removeItem(LEGACY_CHATS_KEY);
+}
+
+/**
+ * Loads `{ chats, folders }`, newest chats first and folders by name.
+ */
+export async function loadLibrary() {
+  const db = await openDatabase();
+  await migrateLegacyChats(db);
+  const transaction = db.transaction(['chats', 'folders'], 'readonly');
+  const [chats, folders] = await Promise.all([
+    requestResult(transaction.objectStore('chats').getAll()),
+    requestResult(transaction.objectStore('folders').getAll())
+  ]);
+  return {
+    chats: chats.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)),
+    folders: folders.sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+// Writes the records that changed between two versions of a list (compared by
+// reference, as React state updates replace changed objects) and deletes removed ones.
+async function saveChanges(storeName, previous, next) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+  const previousById = new Map(previous.map(record => [record.id, record]));
+  const nextIds = new Set();
+  for (const record of next) {
+    nextIds.add(record.id);
+    if (previousById.get(record.id) !== record) store.put(record);
+  }
+  for (const record of previous) {
+    if (!nextIds.has(record.id)) store.delete(record.id);
+  }
+  return transactionDone(transaction);
+}
+
+export const saveChatChanges = (previousChats, chats) => saveChanges('chats', previousChats, chats);
+
+export const saveFolderChanges = (previousFolders, folders) => saveChanges('folders', previousFolders, folders);
+
+
+// --- Usage Log ---
+/**
+ * Loads every usage record, oldest first.
+ */
+export async function loadUsageRecords() {
+  const db = await openDatabase();
+  const records = await requestResult(db.transaction('usage', 'readonly').objectStore('usage').getAll());
+  return records.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function addUsageRecord(record) {
+  const db = await openDatabase();
+  const transaction = db.transaction('usage', 'readwrite');
+  transaction.objectStore('usage').add(record);
+  return transactionDone(transaction);
+}
+
+export async function clearUsageRecords() {
+  const db = await openDatabase();
+  const transaction = db.transaction('usage', 'readwrite');
+  transaction.objectStore('usage').clear();
+  return transactionDone(transaction);
+}
@@ -0,0 +1,50 @@
+// --- Prompt Templates ---
+// Templates are prompts with optional `{{variables}}` (or `{{variable|default}}`)
+// that are filled in through a form before use. The built-in examples ship
+// with the app; the team's own templates are kept in localStorage.
+
+const TEMPLATES_STORAGE_KEY = 'ai-frontend-templates';
+const VARIABLE_PATTERN = /\{\{\s*([\w][\w -]*?)\s*(?:\|([^}]*))?\}\}/g;
+
+export const builtInTemplates = [
+  { id: 'builtin-hero', builtIn: true, tags: ['example', 'marketing'], title: 'Hero Section', prompt: 'A modern, professional hero section for a SaaS product named "{{product name|CodeGenius}}". It should have a catchy title, a short descriptive paragraph, and two buttons: "Get Started for Free" and "View Pricing".' },
+  { id: 'builtin-login', builtIn: true, tags: ['example', 'forms'], title: 'Login Form', prompt: 'A clean and simple login form with fields for "Email" and "Password", a "Remember me" checkbox, a "Sign In" button, and a "Forgot your password?" link.' },
+  { id: 'builtin-pricing', builtIn: true, tags: ['example', 'marketing'], title: 'Pricing Page', prompt: 'A pricing page with three tiers: "Basic", "Pro", and "Enterprise". Each tier should have a title, a price, a short list of key features, and a "Sign Up" button. The "Pro" tier should be highlighted as the most popular.' },
+  { id: 'builtin-contact', builtIn: true, tags: ['example', 'forms'], title: 'Contact Form', prompt: 'A contact form with fields for "Full Name", "Email Address", "Subject", and "Message". Include a "Send Message" submit button.' },
+];
+
+export function loadTemplates() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TEMPLATES_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    console.error('Failed to load templates:', e);
+    return [];
+  }
+}
+
+export function saveTemplates(templates) {
+  localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+}
+
+/**
+ * The distinct variables of a template prompt, in order of first use, as
+ * `{ name, defaultValue }`.
+ */
+export function getTemplateVariables(text) {
+  const variables = new Map();
+  for (const [, name, defaultValue] of text.matchAll(VARIABLE_PATTERN)) {
+    if (!variables.has(name)) variables.set(name, { name, defaultValue: defaultValue?.trim() ?? '' });
+  }
+  return [...variables.values()];
+}
+
+/**
+ * Replaces every `{{variable}}` with its value from `values`, falling back to
+ * the variable's default.
+ */
+export function fillTemplate(text, values) {
+  return text.replace(VARIABLE_PATTERN, (match, name, defaultValue) => values[name] || defaultValue?.trim() || '');
+}
+
+export const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
@@ -0,0 +1,133 @@
+// --- Usage Tracking ---
+// Every completion request is recorded with its token counts, cost, latency
+// and whether it was a repair attempt (stored by storage.js). Providers that
+// don't report usage, and cancelled streams, get an estimate from the text
+// length instead, flagged as `estimated`.
+
+import { v4 as uuidv4 } from 'uuid';
+
+// Rough averages; good enough for estimates and budgets, not for billing.
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_IMAGE = 765;
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Estimates the prompt tokens of API `messages` (string or multimodal content).
+ */
+export function estimateTokens(messages) {
+  let tokens = 0;
+  for (const { content } of messages) {
+    tokens += TOKENS_PER_MESSAGE;
+    const parts = typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+    for (const part of parts) {
+      tokens += part.type === 'text' ? Math.ceil(part.text.length / CHARS_PER_TOKEN) : TOKENS_PER_IMAGE;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * The usage record for one request that sent `messages` and got `content`
+ * back, using the provider's `usage` when it reported one.
+ */
+export function createUsageRecord({ chatId, providerId, model, kind, attempt = 0, messages, content, usage, startedAt, cancelled = false }) {
+  const estimated = !usage;
+  const promptTokens = usage?.prompt_tokens ?? estimateTokens(messages);
+  const completionTokens = usage?.completion_tokens ?? Math.ceil((content || '').length / CHARS_PER_TOKEN);
+  return {
+    id: uuidv4(),
+    createdAt: Date.now(),
+    chatId,
+    providerId,
+    model,
+    kind,
+    attempt,
+    promptTokens,
+    completionTokens,
+    totalTokens: usage?.total_tokens ?? promptTokens + completionTokens,
+    cost: usage?.total_cost ?? usage?.cost ?? 0,
+    latencyMs: Date.now() - startedAt,
+    estimated,
+    cancelled
+  };
+}
+
+// Local calendar day, e.g. "2024-05-31".
+export function dayKey(time) {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+const monthKey = (time) => dayKey(time).slice(0, 7);
+
+/**
+ * Totals for `records`: requests, tokens, cost, average latency and the
+ * number of repair attempts among them.
+ */
+export function totalUsage(records) {
+  const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, latencyMs: 0, retries: 0 };
+  for (const record of records) {
+    totals.requests++;
+    totals.promptTokens += record.promptTokens;
+    totals.completionTokens += record.completionTokens;
+    totals.totalTokens += record.totalTokens;
+    totals.cost += record.cost;
+    totals.latencyMs += record.latencyMs;
+    if (record.attempt > 0) totals.retries++;
+  }
+  if (totals.requests) totals.latencyMs = Math.round(totals.latencyMs / totals.requests);
+  return totals;
+}
+
+/**
+ * Groups `records` by `keyOf(record)` and totals each group, most expensive first.
+ */
+export function summarizeUsage(records, keyOf) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return [...groups].map(([key, group]) => ({ key, ...totalUsage(group) }))
+    .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+}
+
+// --- Budgets ---
+// Budgets are kept in the settings; a limit of null is no budget. Once one is
+// exceeded, new requests either show a warning or are blocked.
+export const budgetTypes = {
+  dailyCost: { label: 'Daily cost', unit: 'cost', applies: (record, now) => dayKey(record.createdAt) === dayKey(now) },
+  monthlyCost: { label: 'Monthly cost', unit: 'cost', applies: (record, now) => monthKey(record.createdAt) === monthKey(now) },
+  chatCost: { label: 'Chat cost', unit: 'cost', applies: (record, now, chatId) => !!chatId && record.chatId === chatId },
+  dailyTokens: { label: 'Daily tokens', unit: 'tokens', applies: (record, now) => dayKey(record.createdAt) === dayKey(now) },
+};
+
+export const DEFAULT_BUDGETS = { dailyCost: null, monthlyCost: null, chatCost: null, dailyTokens: null, action: 'warn' };
+
+export const formatCost = (cost) => `$${cost.toFixed(cost >= 1 ? 2 : 4)}`;
+
+/**
+ * The budgets that `records` have reached, as `{ id, label, used, limit }`
+ * with used and limit already formatted.
+ */
+export function getExceededBudgets(records, budgets, chatId, now = Date.now()) {
+  const exceeded = [];
+  for (const [id, type] of Object.entries(budgetTypes)) {
+    const limit = budgets?.[id];
+    if (limit == null) continue;
+    const totals = totalUsage(records.filter(record => type.applies(record, now, chatId)));
+    const used = type.unit === 'cost' ? totals.cost : totals.totalTokens;
+    if (used < limit) continue;
+    const format = type.unit === 'cost' ? formatCost : (value) => `${value.toLocaleString()} tokens`;
+    exceeded.push({ id, label: type.label, used: format(used), limit: format(limit) });
+  }
+  return exceeded;
+}
+
+/**
+ * A sentence describing exceeded budgets, for warnings and errors.
+ */
+export function describeExceededBudgets(exceeded) {
+  return exceeded.map(budget => `${budget.label} ${budget.used} of ${budget.limit}`).join('; ');
+}
@@ -0,0 +1,115 @@
+// --- Code Validation ---
+// Framework-independent checks shared by the framework definitions (see
+// frameworks/): markup nesting and JavaScript syntax. Each returns a list of
+// problems, empty when the code is fine.
+
+import { Parser } from 'acorn';
+import jsx from 'acorn-jsx';
+
+const JsxParser = Parser.extend(jsx());
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Elements whose end tag HTML allows to be left out.
+const OPTIONAL_END_ELEMENTS = new Set(['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'rt', 'rp']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<(\/?)([a-zA-Z][\w:.-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/gi;
+
+export const lineAt = (source, index) => source.slice(0, index).split('\n').length;
+
+/**
+ * Checks that tags are properly nested and closed. Returns a list of problems.
+ */
+export function validateMarkup(source, { allowSelfClosing = false, lineOffset = 0 } = {}) {
+  const errors = [];
+  const stack = [];
+  let lastIndex = 0;
+  TAG_PATTERN.lastIndex = 0;
+
+  for (let match = TAG_PATTERN.exec(source); match; match = TAG_PATTERN.exec(source)) {
+    lastIndex = TAG_PATTERN.lastIndex;
+    const [tag, closing, rawName, , selfClosing] = match;
+    if (!rawName) continue; // comment or doctype
+    const name = rawName.toLowerCase();
+    const line = lineAt(source, match.index) + lineOffset;
+
+    if (!closing) {
+      if (VOID_ELEMENTS.has(name) || (selfClosing && allowSelfClosing)) continue;
+      if (RAW_TEXT_ELEMENTS.has(name)) {
+        const end = source.toLowerCase().indexOf(`</${name}`, TAG_PATTERN.lastIndex);
+        if (end === -1) {
+          errors.push(`<${name}> on line ${line} is never closed.`);
+          return errors;
+        }
+        TAG_PATTERN.lastIndex = Math.max(source.indexOf('>', end) + 1, end + name.length + 2);
+        lastIndex = TAG_PATTERN.lastIndex;
+        continue;
+      }
+      stack.push({ name, line, tag });
+      continue;
+    }
+
+    const openIndex = stack.map(open => open.name).lastIndexOf(name);
+    if (openIndex === -1) {
+      errors.push(`Unexpected closing tag </${name}> on line ${line}.`);
+      continue;
+    }
+    for (const unclosed of stack.splice(openIndex + 1)) {
+      if (!OPTIONAL_END_ELEMENTS.has(unclosed.name)) {
+        errors.push(`<${unclosed.name}> on line ${unclosed.line} is not closed before </${name}> on line ${line}.`);
+      }
+    }
+    stack.pop();
+  }
+
+  if (/<[a-zA-Z/!]/.test(source.slice(lastIndex))) {
+    errors.push(`The markup ends in the middle of a tag (line ${lineAt(source, source.length) + lineOffset}); the output may be truncated.`);
+  }
+  for (const unclosed of stack) {
+    if (!OPTIONAL_END_ELEMENTS.has(unclosed.name)) {
+      errors.push(`<${unclosed.name}> on line ${unclosed.line} is never closed.`);
+    }
+  }
+  return errors;
+}
+
+// Parses JavaScript (with JSX) as an ES module and reports the first syntax error.
+export function validateScript(source, { lineOffset = 0 } = {}) {
+  try {
+    JsxParser.parse(source, { ecmaVersion: 'latest', sourceType: 'module', allowHashBang: true });
+    return [];
+  } catch (err) {
+    const location = err.loc ? ` on line ${err.loc.line + lineOffset}, column ${err.loc.column + 1}` : '';
+    const message = err.message.replace(/\s*\(\d+:\d+\)$/, '');
+    return [`Syntax error${location}: ${message}${/[.?!]$/.test(message) ? '' : '.'}`];
+  }
+}
+
+/**
+ * Blanks out the inside of `{ ... }` template expressions (keeping line
+ * breaks, so line numbers still match) so markup with expressions like
+ * `onclick={() => n++}` can go through `validateMarkup`.
+ */
+export function maskExpressions(source) {
+  let depth = 0;
+  let masked = '';
+  for (const char of source) {
+    if (char === '{') depth++;
+    if (char === '}' && depth > 0) depth--;
+    const isBoundary = (char === '{' && depth === 1) || (char === '}' && depth === 0);
+    masked += depth > 0 && !isBoundary && char !== '\n' ? ' ' : char;
+  }
+  return masked;
+}
+
+/**
+ * Finds the `<script>` blocks of a component file. `line` is the line before
+ * the block's content, to offset error messages by.
+ */
+export function findScriptBlocks(source) {
+  return [...source.matchAll(/<script(\b[^>]*)>([\s\S]*?)<\/script>/gi)].map(match => ({
+    attrs: match[1],
+    content: match[2],
+    line: lineAt(source, match.index + match[0].indexOf('>') + 1) - 1
+  }));
+}
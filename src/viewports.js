@@ -0,0 +1,36 @@
+// --- Preview Viewports ---
+
+export const viewportPresets = {
+  responsive: { label: 'Responsive', width: null, height: null },
+  phone: { label: 'Phone', width: 375, height: 667 },
+  tablet: { label: 'Tablet', width: 768, height: 1024 },
+  desktop: { label: 'Desktop', width: 1280, height: 800 },
+  custom: { label: 'Custom', width: null, height: null },
+};
+
+// Presets rendered next to each other in multi-frame mode.
+export const MULTI_FRAME_PRESETS = ['phone', 'tablet', 'desktop'];
+
+export const ZOOM_LEVELS = ['fit', 0.5, 0.75, 1, 1.25];
+
+export const DEFAULT_VIEWPORT = {
+  preset: 'responsive',
+  customWidth: 1024,
+  customHeight: 768,
+  zoom: 'fit',
+  rotated: false,
+  multiFrame: false,
+  darkMode: false,
+};
+
+/**
+ * Returns `{ width, height }` in CSS pixels for a preset, or null when the
+ * frame should simply fill the preview panel.
+ */
+export function getViewportSize(viewport, preset = viewport.preset) {
+  if (preset === 'responsive') return null;
+  const size = preset === 'custom'
+    ? { width: viewport.customWidth, height: viewport.customHeight }
+    : { width: viewportPresets[preset].width, height: viewportPresets[preset].height };
+  return viewport.rotated ? { width: size.height, height: size.width } : size;
+}